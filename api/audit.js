@@ -0,0 +1,149 @@
+// audit.js：审核审计日志的管理接口，使用独立的 ADMIN_TOKEN
+// GET   /admin/audit          按条件查询（默认只返回拦截的记录，verdict=all 返回全部）
+// GET   /admin/audit/export   按条件导出，format=jsonl（默认）或 csv
+// GET   /admin/audit/<id>     查看单条记录
+// PATCH /admin/audit/<id>     复核：{ "false_positive": true, "note": "..." }
+
+const { ApiError } = require('../lib/errors');
+const { pipeline, allowMethods, authenticateToken, requireConfig } = require('../lib/pipeline');
+const { reviewSink, queryDecisions, reviewDecision, toCsv } = require('../lib/audit');
+
+const MAX_LIMIT = 1000;
+const MAX_EXPORT = 10000;
+
+function invalidQuery(param, message) {
+  const error = new ApiError(400, `Invalid '${param}': ${message}`, 'invalid_request_error', `invalid_${param}`);
+  error.param = param;
+  return error;
+}
+
+function oneOf(query, param, values) {
+  const value = query[param];
+  if (value !== undefined && !values.includes(value)) {
+    throw invalidQuery(param, `must be one of ${values.map(v => `'${v}'`).join(', ')}`);
+  }
+  return value;
+}
+
+function timestamp(query, param) {
+  if (query[param] === undefined) {
+    return undefined;
+  }
+  const date = new Date(/^\d+$/.test(query[param]) ? Number(query[param]) : query[param]);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQuery(param, 'must be an ISO 8601 date or a millisecond timestamp');
+  }
+  return date.toISOString();
+}
+
+function integer(query, param, fallback, max) {
+  if (query[param] === undefined) {
+    return fallback;
+  }
+  const value = Number(query[param]);
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw invalidQuery(param, `must be an integer between 0 and ${max}`);
+  }
+  return value;
+}
+
+// 解析查询参数为过滤条件
+function parseFilter(query) {
+  const verdict = oneOf(query, 'verdict', ['flagged', 'passed', 'all']) || 'flagged';
+  const falsePositive = oneOf(query, 'false_positive', ['true', 'false']);
+  return {
+    verdict: verdict === 'all' ? undefined : verdict,
+    stage: oneOf(query, 'stage', ['input', 'output']),
+    client: query.client,
+    model: query.model,
+    category: query.category,
+    falsePositive: falsePositive === undefined ? undefined : falsePositive === 'true',
+    since: timestamp(query, 'since'),
+    until: timestamp(query, 'until')
+  };
+}
+
+// 审计日志需配置可查询的落地方式
+async function requireAuditLog(req, res, next) {
+  if (!reviewSink()) {
+    throw new ApiError(404, 'Audit log is not enabled; set AUDIT_LOG to jsonl or sqlite', 'invalid_request_error', 'audit_disabled');
+  }
+  await next();
+}
+
+async function findDecision(id) {
+  const [event] = await queryDecisions({ id }, { limit: 1 });
+  if (!event) {
+    throw new ApiError(404, `Audit event ${id} not found`, 'invalid_request_error', 'not_found');
+  }
+  return event;
+}
+
+async function review(req, res) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  if (typeof body.false_positive !== 'boolean') {
+    throw invalidQuery('false_positive', 'must be a boolean');
+  }
+  if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+    throw invalidQuery('note', 'must be a string');
+  }
+
+  const event = await reviewDecision(req.query.id, { falsePositive: body.false_positive, note: body.note });
+  if (!event) {
+    throw new ApiError(404, `Audit event ${req.query.id} not found`, 'invalid_request_error', 'not_found');
+  }
+  res.json(event);
+}
+
+async function exportDecisions(req, res) {
+  const format = oneOf(req.query, 'format', ['jsonl', 'csv']) || 'jsonl';
+  const events = await queryDecisions(parseFilter(req.query), { limit: integer(req.query, 'limit', MAX_EXPORT, MAX_EXPORT) });
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${date}.${format}"`);
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.status(200).send(toCsv(events));
+  } else {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.status(200).send(events.map(event => JSON.stringify(event) + '\n').join(''));
+  }
+}
+
+module.exports = pipeline(
+  allowMethods('GET', 'PATCH'),
+  authenticateToken('ADMIN_TOKEN', 'admin'),
+  requireConfig('audit'),
+  requireAuditLog,
+  async (req, res) => {
+    const { id, action } = req.query;
+
+    if (req.method === 'PATCH') {
+      if (!id) {
+        throw new ApiError(405, 'Method not allowed', 'invalid_request_error', 405);
+      }
+      await review(req, res);
+      return;
+    }
+
+    if (id) {
+      res.json(await findDecision(id));
+      return;
+    }
+
+    if (action === 'export') {
+      await exportDecisions(req, res);
+      return;
+    }
+
+    // 多取一条判断是否还有更多记录
+    const limit = integer(req.query, 'limit', 100, MAX_LIMIT);
+    const offset = integer(req.query, 'offset', 0, Number.MAX_SAFE_INTEGER);
+    const events = await queryDecisions(parseFilter(req.query), { limit: limit + 1, offset });
+    res.json({
+      object: 'list',
+      data: events.slice(0, limit),
+      has_more: events.length > limit
+    });
+  }
+);
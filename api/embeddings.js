@@ -0,0 +1,47 @@
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  jsonBody
+} = require('../lib/pipeline');
+const { rateLimit, recordUsage } = require('../lib/ratelimit');
+const { withFailover, postJson } = require('../lib/providers');
+const { validateEmbeddingRequest, createEmbeddings } = require('../lib/embeddings');
+const { observeUsage } = require('../lib/metrics');
+
+module.exports = pipeline(
+  cors('POST'),
+  allowMethods('POST'),
+  authenticate('embeddings'),
+  jsonBody,
+  async (req, res, next) => {
+    validateEmbeddingRequest(req.body);
+    await next();
+  },
+  authorizeModel,
+  requireConfig('providers'),
+  rateLimit,
+  async (req, res) => {
+    const { model, dimensions, encoding_format: format, user } = req.body;
+
+    const { cached, ...result } = await createEmbeddings(req.body, async inputs => {
+      const response = await withFailover(req, req.config.providers, model, (provider, upstreamModel) => {
+        const body = { model: upstreamModel, input: inputs };
+        if (dimensions !== undefined) body.dimensions = dimensions;
+        if (format !== undefined) body.encoding_format = format;
+        if (user !== undefined) body.user = user;
+        return postJson(provider, '/v1/embeddings', body);
+      });
+      return response.data;
+    });
+
+    observeUsage(req.authorizedModel, result.usage);
+    await recordUsage(req, result.usage.total_tokens);
+
+    res.setHeader('x-embeddings-cached', String(cached));
+    res.json(result);
+  }
+);
@@ -0,0 +1,3 @@
+const { createImageUploadRoute } = require('../lib/images');
+
+module.exports = createImageUploadRoute('edits');
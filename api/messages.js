@@ -0,0 +1,105 @@
+// messages.js：Anthropic Messages API 兼容接口，转换为 chat.completions 后复用同一套审核与转发流程
+
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  jsonBody
+} = require('../lib/pipeline');
+const { rateLimit, estimatePromptTokens } = require('../lib/ratelimit');
+const { selectPolicy } = require('../lib/policies');
+const { validateChatParams } = require('../lib/params');
+const { validateMessages } = require('../lib/messages');
+const { annotate } = require('../lib/logger');
+const { respondFromCache, handleStream, handleNormal } = require('../lib/chat');
+const {
+  validateMessagesRequest,
+  toChatRequest,
+  fromChatCompletion,
+  errorResponse,
+  sseEvent,
+  createStreamTranslator
+} = require('../lib/anthropic');
+
+// 以 Anthropic 格式返回错误；流已开始时发送 error 事件
+function sendAnthropicError(res, error) {
+  const { status, body } = errorResponse(error);
+  annotate({ error: body.error.type });
+
+  if (res.headersSent) {
+    try {
+      res.write(sseEvent('error', { error: body.error }));
+    } catch (writeError) {
+      // 客户端已断开
+    }
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  res.status(status).json(body);
+}
+
+// 捕获后续中间件的错误并转换为 Anthropic 错误格式
+async function anthropicErrors(req, res, next) {
+  try {
+    await next();
+  } catch (error) {
+    sendAnthropicError(res, error);
+  }
+}
+
+// Anthropic 客户端通过 x-api-key 传递密钥
+async function apiKeyHeader(req, res, next) {
+  const apiKey = req.headers['x-api-key'];
+  if (!req.headers.authorization && typeof apiKey === 'string' && apiKey) {
+    req.headers.authorization = `Bearer ${apiKey}`;
+  }
+  await next();
+}
+
+// 校验 Messages API 请求并转换为 chat.completions 请求，原始请求保留在 req.anthropic
+async function translateRequest(req, res, next) {
+  validateMessagesRequest(req.body);
+  req.anthropic = req.body;
+  req.body = toChatRequest(req.body);
+  // 转换结果与直接调用 chat.completions 一样校验消息结构
+  validateMessages(req.body.messages);
+  validateChatParams(req.body);
+  await next();
+}
+
+module.exports = pipeline(
+  cors('POST'),
+  anthropicErrors,
+  allowMethods('POST'),
+  apiKeyHeader,
+  authenticate('chat'),
+  jsonBody,
+  translateRequest,
+  authorizeModel,
+  requireConfig('firstProvider', 'moderation', 'providers'),
+  selectPolicy,
+  rateLimit,
+  async (req, res) => {
+    const model = req.anthropic.model;
+    const options = {
+      createOutput: target => createStreamTranslator(target, model, estimatePromptTokens(req.body.messages)),
+      sendStreamError: sendAnthropicError,
+      format: completion => fromChatCompletion(completion, model)
+    };
+
+    // 缓存按转换后的 chat.completions 请求命中，与其他协议共用
+    if (await respondFromCache(req, res, options)) {
+      return;
+    }
+    if (req.body.stream) {
+      await handleStream(req, res, req.config, options);
+      return;
+    }
+    await handleNormal(req, res, req.config, options);
+  }
+);
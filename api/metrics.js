@@ -0,0 +1,12 @@
+const { pipeline, allowMethods, authenticateToken } = require('../lib/pipeline');
+const { renderMetrics } = require('../lib/metrics');
+
+// /metrics 使用独立的 METRICS_TOKEN
+module.exports = pipeline(
+  allowMethods('GET'),
+  authenticateToken('METRICS_TOKEN', 'metrics'),
+  async (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.status(200).send(renderMetrics());
+  }
+);
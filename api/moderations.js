@@ -0,0 +1,93 @@
+const { ApiError } = require('../lib/errors');
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  requireConfig,
+  jsonBody
+} = require('../lib/pipeline');
+const { rateLimit } = require('../lib/ratelimit');
+const {
+  moderate,
+  collectImages,
+  prepareImageModeration,
+  moderationId
+} = require('../lib/moderation');
+const { selectPolicy } = require('../lib/policies');
+
+// 将 input 规范化为待审核消息列表：字符串、字符串数组或多模态内容数组
+function normalizeInput(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  if (Array.isArray(input) && input.length > 0) {
+    if (input.every(item => typeof item === 'string')) {
+      return input.map(text => ({ role: 'user', content: text }));
+    }
+    if (input.every(item => item && typeof item === 'object' && ['text', 'image_url'].includes(item.type))) {
+      return [{ role: 'user', content: input }];
+    }
+  }
+
+  return null;
+}
+
+// 审核单条输入，带图片时使用视觉审核模型
+function moderateInput(message, firstProvider, policy) {
+  if (typeof message.content === 'string') {
+    return moderate([message], firstProvider, policy);
+  }
+
+  const vision = prepareImageModeration(collectImages([message]), policy);
+  const text = message.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+  const content = vision
+    ? [{ type: 'text', text }, ...message.content.filter(part => part.type === 'image_url')]
+    : text;
+
+  return moderate([{ role: 'user', content }], firstProvider, policy, vision);
+}
+
+module.exports = pipeline(
+  cors('POST'),
+  allowMethods('POST'),
+  authenticate('moderations'),
+  jsonBody,
+  async (req, res, next) => {
+    if (!normalizeInput(req.body.input)) {
+      throw new ApiError(
+        400,
+        'input is required and must be a string, an array of strings or an array of content parts',
+        'invalid_request_error',
+        'invalid_input'
+      );
+    }
+
+    if (req.body.model !== undefined && typeof req.body.model !== 'string') {
+      throw new ApiError(400, 'model must be a string', 'invalid_request_error', 'invalid_model');
+    }
+
+    await next();
+  },
+  requireConfig('firstProvider', 'moderation'),
+  selectPolicy,
+  rateLimit,
+  async (req, res) => {
+    const { firstProvider } = req.config;
+    const inputs = normalizeInput(req.body.input);
+
+    const results = await Promise.all(inputs.map(message =>
+      moderateInput(message, firstProvider, req.policy)
+    ));
+
+    res.json({
+      id: moderationId(),
+      model: req.policy.model || firstProvider.model,
+      results
+    });
+  }
+);
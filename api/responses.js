@@ -0,0 +1,82 @@
+// responses.js：OpenAI Responses API 兼容接口，转换为 chat.completions 后复用同一套审核与转发流程
+
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  jsonBody
+} = require('../lib/pipeline');
+const { rateLimit } = require('../lib/ratelimit');
+const { selectPolicy } = require('../lib/policies');
+const { validateChatParams } = require('../lib/params');
+const { validateMessages } = require('../lib/messages');
+const { handleError, sendError } = require('../lib/errors');
+const { annotate } = require('../lib/logger');
+const { respondFromCache, handleStream, handleNormal } = require('../lib/chat');
+const {
+  validateResponseRequest,
+  toChatRequest,
+  fromChatCompletion,
+  createStreamTranslator
+} = require('../lib/responses');
+
+// 流已开始时发送 error 事件，否则按普通 JSON 返回错误
+function sendResponsesError(res, error) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'application/json');
+    sendError(res, error);
+    return;
+  }
+
+  const { body } = handleError(error);
+  annotate({ error: body.error.code });
+  try {
+    res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', code: body.error.code, message: body.error.message, param: body.error.param })}\n\n`);
+  } catch (writeError) {
+    // 客户端已断开
+  }
+  res.end();
+}
+
+// 校验 Responses API 请求并转换为 chat.completions 请求，原始请求保留在 req.responses
+async function translateRequest(req, res, next) {
+  validateResponseRequest(req.body);
+  req.responses = req.body;
+  req.body = toChatRequest(req.body);
+  // 转换结果与直接调用 chat.completions 一样校验消息结构
+  validateMessages(req.body.messages);
+  validateChatParams(req.body);
+  await next();
+}
+
+module.exports = pipeline(
+  cors('POST'),
+  allowMethods('POST'),
+  authenticate('chat'),
+  jsonBody,
+  translateRequest,
+  authorizeModel,
+  requireConfig('firstProvider', 'moderation', 'providers'),
+  selectPolicy,
+  rateLimit,
+  async (req, res) => {
+    const body = req.responses;
+    const options = {
+      createOutput: target => createStreamTranslator(target, body),
+      sendStreamError: sendResponsesError,
+      format: completion => fromChatCompletion(completion, body)
+    };
+
+    if (await respondFromCache(req, res, options)) {
+      return;
+    }
+    if (req.body.stream) {
+      await handleStream(req, res, req.config, options);
+      return;
+    }
+    await handleNormal(req, res, req.config, options);
+  }
+);
@@ -0,0 +1,85 @@
+const { ApiError } = require('../lib/errors');
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  moderationToggle,
+  jsonBody
+} = require('../lib/pipeline');
+const { rateLimit } = require('../lib/ratelimit');
+const { withFailover, postJson } = require('../lib/providers');
+const { enforceModeration } = require('../lib/moderation');
+const { logger } = require('../lib/logger');
+
+const SPEECH_FORMATS = ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'];
+
+module.exports = pipeline(
+  cors('POST'),
+  allowMethods('POST'),
+  authenticate('audio'),
+  jsonBody,
+  async (req, res, next) => {
+    const { model, input, voice, response_format: format, speed } = req.body;
+    if (!model || typeof model !== 'string') {
+      throw new ApiError(400, 'model is required and must be a string', 'invalid_request_error', 'invalid_model');
+    }
+
+    if (!input || typeof input !== 'string' || input.length > 4096) {
+      throw new ApiError(400, 'input is required and must be a string of at most 4096 characters', 'invalid_request_error', 'invalid_input');
+    }
+
+    if (!voice || typeof voice !== 'string') {
+      throw new ApiError(400, 'voice is required and must be a string', 'invalid_request_error', 'invalid_voice');
+    }
+
+    if (format !== undefined && !SPEECH_FORMATS.includes(format)) {
+      throw new ApiError(400, `response_format must be one of ${SPEECH_FORMATS.join(', ')}`, 'invalid_request_error', 'invalid_response_format');
+    }
+
+    if (speed !== undefined && !(typeof speed === 'number' && speed >= 0.25 && speed <= 4)) {
+      throw new ApiError(400, 'speed must be a number between 0.25 and 4', 'invalid_request_error', 'invalid_speed');
+    }
+
+    await next();
+  },
+  authorizeModel,
+  requireConfig('providers'),
+  rateLimit,
+  moderationToggle('AUDIO_MODERATION'),
+  async (req, res) => {
+    const { model, input, voice, response_format: format, speed, instructions } = req.body;
+
+    // 合成前审核输入文本
+    if (req.moderation) {
+      await enforceModeration(req, [{ role: 'user', content: input }]);
+    }
+
+    const response = await withFailover(req, req.config.providers, model, (provider, upstreamModel) => {
+      const body = { model: upstreamModel, input, voice };
+      if (format !== undefined) body.response_format = format;
+      if (speed !== undefined) body.speed = speed;
+      if (instructions !== undefined) body.instructions = instructions;
+      return postJson(provider, '/v1/audio/speech', body, {
+        responseType: 'stream',
+        headers: { 'Accept': '*/*' }
+      });
+    });
+
+    // 以流的形式把二进制音频转发给客户端
+    res.setHeader('Content-Type', response.headers['content-type'] || 'audio/mpeg');
+    if (response.headers['content-length']) {
+      res.setHeader('Content-Length', response.headers['content-length']);
+    }
+    res.status(200);
+    response.data.on('error', error => {
+      logger.warn('speech stream error', { client: req.client.name, error });
+      res.end();
+    });
+    response.data.pipe(res);
+    // 客户端提前断开时停止读取上游音频
+    res.on('close', () => response.data.destroy());
+  }
+);
@@ -0,0 +1,62 @@
+// text-completions.js：旧版 /v1/completions 兼容接口，prompt 转换为 chat 消息后复用同一套审核与转发流程
+
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  jsonBody
+} = require('../lib/pipeline');
+const { rateLimit } = require('../lib/ratelimit');
+const { selectPolicy } = require('../lib/policies');
+const { validateChatParams } = require('../lib/params');
+const { validateMessages } = require('../lib/messages');
+const { respondFromCache, handleStream, handleNormal } = require('../lib/chat');
+const {
+  validateCompletionRequest,
+  toChatRequest,
+  fromChatCompletion,
+  createStreamTranslator
+} = require('../lib/textcompletions');
+
+// 校验旧版请求并转换为 chat.completions 请求，原始请求保留在 req.legacy
+async function translateRequest(req, res, next) {
+  const prompt = validateCompletionRequest(req.body);
+  req.legacy = { body: req.body, prompt };
+  req.body = toChatRequest(req.body, prompt);
+  // 转换结果与直接调用 chat.completions 一样校验消息结构
+  validateMessages(req.body.messages);
+  validateChatParams(req.body);
+  await next();
+}
+
+module.exports = pipeline(
+  cors('POST'),
+  allowMethods('POST'),
+  authenticate('chat'),
+  jsonBody,
+  translateRequest,
+  authorizeModel,
+  requireConfig('firstProvider', 'moderation', 'providers'),
+  selectPolicy,
+  rateLimit,
+  async (req, res) => {
+    const { body, prompt } = req.legacy;
+    const echo = body.echo === true;
+    const options = {
+      createOutput: target => createStreamTranslator(target, body.model, prompt, echo),
+      format: completion => fromChatCompletion(completion, body.model, prompt, echo)
+    };
+
+    if (await respondFromCache(req, res, options)) {
+      return;
+    }
+    if (req.body.stream) {
+      await handleStream(req, res, req.config, options);
+      return;
+    }
+    await handleNormal(req, res, req.config, options);
+  }
+);
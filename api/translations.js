@@ -0,0 +1,3 @@
+const { createTranscriptionRoute } = require('../lib/audio');
+
+module.exports = createTranscriptionRoute('translations');
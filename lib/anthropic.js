@@ -0,0 +1,407 @@
+// anthropic.js
+
+const crypto = require('crypto');
+const { ApiError, handleError } = require('./errors');
+const { createChunkTranslator } = require('./sse');
+
+// OpenAI finish_reason 与 Anthropic stop_reason 的对应关系
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// HTTP 状态码对应的 Anthropic 错误类型
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
+
+function invalid(message) {
+  return new ApiError(400, message, 'invalid_request_error', 'invalid_request');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 校验 Messages API 请求的结构
+function validateMessagesRequest(body) {
+  if (typeof body.model !== 'string' || !body.model) {
+    throw invalid('model: Field required');
+  }
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    throw invalid('max_tokens: must be a positive integer');
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw invalid('messages: at least one message is required');
+  }
+  if (body.system !== undefined && typeof body.system !== 'string' && !Array.isArray(body.system)) {
+    throw invalid('system: must be a string or an array of text blocks');
+  }
+  if (body.stop_sequences !== undefined && (!Array.isArray(body.stop_sequences) || !body.stop_sequences.every(item => typeof item === 'string'))) {
+    throw invalid('stop_sequences: must be an array of strings');
+  }
+  if (body.tools !== undefined && (!Array.isArray(body.tools) || !body.tools.every(tool => isObject(tool) && typeof tool.name === 'string'))) {
+    throw invalid('tools: each tool must have a name');
+  }
+
+  body.messages.forEach((message, index) => {
+    if (!isObject(message) || !['user', 'assistant'].includes(message.role)) {
+      throw invalid(`messages.${index}.role: must be 'user' or 'assistant'`);
+    }
+    if (typeof message.content === 'string') {
+      return;
+    }
+    if (!Array.isArray(message.content)) {
+      throw invalid(`messages.${index}.content: must be a string or an array of content blocks`);
+    }
+    message.content.forEach((block, position) => {
+      const label = `messages.${index}.content.${position}`;
+      if (!isObject(block)) {
+        throw invalid(`${label}: must be a content block`);
+      }
+      if (block.type === 'text' && typeof block.text !== 'string') {
+        throw invalid(`${label}.text: must be a string`);
+      }
+      if (block.type === 'image' && (!isObject(block.source) || !['base64', 'url'].includes(block.source.type))) {
+        throw invalid(`${label}.source: must be a base64 or url image source`);
+      }
+      if (block.type === 'tool_use' && (typeof block.id !== 'string' || typeof block.name !== 'string')) {
+        throw invalid(`${label}: tool_use blocks require id and name`);
+      }
+      if (block.type === 'tool_result' && typeof block.tool_use_id !== 'string') {
+        throw invalid(`${label}.tool_use_id: must be a string`);
+      }
+      if (!['text', 'image', 'tool_use', 'tool_result', 'thinking', 'redacted_thinking'].includes(block.type)) {
+        throw invalid(`${label}.type: unsupported content block type ${block.type}`);
+      }
+    });
+  });
+}
+
+function textOf(blocks) {
+  if (typeof blocks === 'string') {
+    return blocks;
+  }
+  return (blocks || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+function imagePart(source) {
+  const url = source.type === 'base64'
+    ? `data:${source.media_type};base64,${source.data}`
+    : source.url;
+  return { type: 'image_url', image_url: { url } };
+}
+
+// 将一条 Anthropic 消息转换为一条或多条 OpenAI 消息（tool_result 拆分为 tool 消息）
+function convertMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const converted = [];
+  const parts = [];
+  const toolCalls = [];
+
+  for (const block of message.content) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      parts.push(imagePart(block.source));
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      });
+    } else if (block.type === 'tool_result') {
+      const content = textOf(block.content);
+      converted.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${content}` : content
+      });
+    }
+    // thinking 块不转发
+  }
+
+  if (message.role === 'assistant') {
+    const text = parts.filter(part => part.type === 'text').map(part => part.text).join('');
+    const assistant = { role: 'assistant', content: text };
+    if (toolCalls.length > 0) {
+      assistant.tool_calls = toolCalls;
+    }
+    if (text || toolCalls.length > 0) {
+      converted.push(assistant);
+    }
+  } else if (parts.length > 0) {
+    // 纯文本内容合并为字符串，带图片时保留多模态数组
+    const content = parts.every(part => part.type === 'text')
+      ? parts.map(part => part.text).join('\n')
+      : parts;
+    converted.push({ role: 'user', content });
+  }
+
+  return converted;
+}
+
+function convertToolChoice(choice) {
+  if (!choice) {
+    return undefined;
+  }
+  switch (choice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: choice.name } };
+    default:
+      return undefined;
+  }
+}
+
+// 将 Messages API 请求转换为 OpenAI chat.completions 请求
+function toChatRequest(body) {
+  const messages = [];
+  const system = textOf(body.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+  for (const message of body.messages) {
+    messages.push(...convertMessage(message));
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens
+  };
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (body.stop_sequences !== undefined) request.stop = body.stop_sequences;
+  if (body.metadata && typeof body.metadata.user_id === 'string') request.user = body.metadata.user_id;
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice !== undefined) request.tool_choice = toolChoice;
+    if (body.tool_choice && body.tool_choice.disable_parallel_tool_use) request.parallel_tool_calls = false;
+  }
+
+  if (body.stream) {
+    request.stream = true;
+    // 需要上游 usage 才能在 message_delta 中返回 output_tokens
+    request.stream_options = { include_usage: true };
+  }
+  return request;
+}
+
+function messageId() {
+  return `msg_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function parseArguments(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function convertUsage(usage) {
+  return {
+    input_tokens: (usage && usage.prompt_tokens) || 0,
+    output_tokens: (usage && usage.completion_tokens) || 0
+  };
+}
+
+// 将 OpenAI chat.completion 转换为 Anthropic message
+function fromChatCompletion(completion, model) {
+  const choice = (completion.choices || [])[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (typeof message.content === 'string' && message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  for (const call of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: call.id,
+      name: call.function.name,
+      input: parseArguments(call.function.arguments)
+    });
+  }
+
+  return {
+    id: messageId(),
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: convertUsage(completion.usage)
+  };
+}
+
+// Anthropic 风格的错误体
+function errorResponse(error) {
+  const { status, body } = handleError(error);
+  return {
+    status,
+    body: {
+      type: 'error',
+      error: {
+        type: ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error'),
+        message: body.error.message
+      }
+    }
+  };
+}
+
+function sseEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+// 将 OpenAI SSE 文本转换为 Anthropic 流式事件后写入 res。inputTokens 为 message_start 中预估的输入 token，
+// 最终以上游 usage 为准
+function createStreamTranslator(res, model, inputTokens = 0) {
+  const id = messageId();
+  let started = false;
+  let block = null;
+  let blockIndex = -1;
+  let stopReason = null;
+  let usage = null;
+  let outputText = 0;
+  const tools = new Map();
+
+  function start() {
+    if (started) {
+      return;
+    }
+    started = true;
+    res.write(sseEvent('message_start', {
+      message: {
+        id,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: inputTokens, output_tokens: 0 }
+      }
+    }));
+  }
+
+  function closeBlock() {
+    if (block) {
+      res.write(sseEvent('content_block_stop', { index: blockIndex }));
+      block = null;
+    }
+  }
+
+  function openBlock(key, contentBlock) {
+    closeBlock();
+    blockIndex += 1;
+    block = key;
+    res.write(sseEvent('content_block_start', { index: blockIndex, content_block: contentBlock }));
+  }
+
+  function handleChunk(chunk) {
+    start();
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    const choice = (chunk.choices || []).find(item => (item.index || 0) === 0);
+    if (!choice) {
+      return;
+    }
+    const delta = choice.delta || {};
+
+    if (typeof delta.content === 'string' && delta.content) {
+      if (block !== 'text') {
+        openBlock('text', { type: 'text', text: '' });
+      }
+      outputText += delta.content.length;
+      res.write(sseEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: delta.content } }));
+    }
+
+    for (const call of delta.tool_calls || []) {
+      const position = call.index || 0;
+      if (!tools.has(position)) {
+        tools.set(position, true);
+        openBlock(`tool:${position}`, {
+          type: 'tool_use',
+          id: call.id,
+          name: call.function && call.function.name,
+          input: {}
+        });
+      }
+      const partial = call.function && call.function.arguments;
+      if (partial && block === `tool:${position}`) {
+        res.write(sseEvent('content_block_delta', { index: blockIndex, delta: { type: 'input_json_delta', partial_json: partial } }));
+      }
+    }
+
+    if (choice.finish_reason) {
+      stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+    }
+  }
+
+  function finish() {
+    start();
+    closeBlock();
+    res.write(sseEvent('message_delta', {
+      delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null },
+      usage: usage
+        ? convertUsage(usage)
+        : { input_tokens: inputTokens, output_tokens: Math.ceil(outputText / 4) }
+    }));
+    res.write(sseEvent('message_stop', {}));
+  }
+
+  return createChunkTranslator(res, {
+    chunk: handleChunk,
+    done: finish,
+    error(error) {
+      start();
+      closeBlock();
+      const type = error.type === 'rate_limit_error' ? 'rate_limit_error' : 'api_error';
+      res.write(sseEvent('error', { error: { type, message: error.message } }));
+    }
+  });
+}
+
+module.exports = {
+  STOP_REASONS,
+  validateMessagesRequest,
+  toChatRequest,
+  fromChatCompletion,
+  errorResponse,
+  sseEvent,
+  createStreamTranslator
+};
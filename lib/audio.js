@@ -0,0 +1,140 @@
+// audio.js
+
+const { ApiError } = require('./errors');
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  moderationToggle
+} = require('./pipeline');
+const { rateLimit } = require('./ratelimit');
+const { withFailover, postForm } = require('./providers');
+const { enforceModeration } = require('./moderation');
+const { multipartBody, toFormData } = require('./multipart');
+
+const RESPONSE_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+
+// 各任务转发给上游的字段
+const TASK_FIELDS = {
+  transcriptions: ['model', 'language', 'prompt', 'response_format', 'temperature', 'timestamp_granularities[]'],
+  translations: ['model', 'prompt', 'response_format', 'temperature']
+};
+
+function field(fields, name) {
+  const value = fields[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function validateForm(task) {
+  return async (req, res, next) => {
+    const { fields, files } = req.form;
+
+    const file = files.file;
+    if (!file || Array.isArray(file) || file.data.length === 0) {
+      throw new ApiError(400, 'file is required', 'invalid_request_error', 'invalid_file');
+    }
+
+    const model = field(fields, 'model');
+    if (!model) {
+      throw new ApiError(400, 'model is required and must be a string', 'invalid_request_error', 'invalid_model');
+    }
+
+    const format = field(fields, 'response_format') || 'json';
+    if (!RESPONSE_FORMATS.includes(format)) {
+      throw new ApiError(400, `response_format must be one of ${RESPONSE_FORMATS.join(', ')}`, 'invalid_request_error', 'invalid_response_format');
+    }
+
+    const temperature = field(fields, 'temperature');
+    if (temperature !== undefined && !(Number(temperature) >= 0 && Number(temperature) <= 1)) {
+      throw new ApiError(400, 'temperature must be between 0 and 1', 'invalid_request_error', 'invalid_temperature');
+    }
+
+    if (task === 'transcriptions' && fields['timestamp_granularities[]'] !== undefined) {
+      const granularities = [].concat(fields['timestamp_granularities[]']);
+      if (!granularities.every(item => ['word', 'segment'].includes(item))) {
+        throw new ApiError(400, "timestamp_granularities must contain only 'word' or 'segment'", 'invalid_request_error', 'invalid_timestamp_granularities');
+      }
+      if (format !== 'verbose_json') {
+        throw new ApiError(400, 'timestamp_granularities requires response_format verbose_json', 'invalid_request_error', 'invalid_timestamp_granularities');
+      }
+    }
+
+    // 供 authorizeModel 与日志使用
+    req.body = { model, response_format: format };
+    await next();
+  };
+}
+
+// 从 srt / vtt 字幕中去掉序号与时间轴，只保留文本
+function subtitleText(subtitle) {
+  return subtitle
+    .split(/\r?\n/)
+    .filter(line => line.trim() && line.trim() !== 'WEBVTT' && !/^\d+$/.test(line.trim()) && !line.includes('-->'))
+    .join('\n');
+}
+
+function transcriptText(data, format) {
+  if (format === 'json' || format === 'verbose_json') {
+    return data && typeof data.text === 'string' ? data.text : '';
+  }
+  const text = typeof data === 'string' ? data : '';
+  return format === 'text' ? text : subtitleText(text);
+}
+
+// 创建转写 / 翻译路由，task 为上游路径 /v1/audio/{task}
+function createTranscriptionRoute(task) {
+  return pipeline(
+    cors('POST'),
+    allowMethods('POST'),
+    authenticate('audio'),
+    multipartBody,
+    validateForm(task),
+    authorizeModel,
+    requireConfig('providers'),
+    rateLimit,
+    moderationToggle('AUDIO_MODERATION'),
+    async (req, res) => {
+      const { fields, files } = req.form;
+      const { model, response_format: format } = req.body;
+      const forwarded = {};
+      for (const name of TASK_FIELDS[task]) {
+        if (fields[name] !== undefined) {
+          forwarded[name] = fields[name];
+        }
+      }
+
+      const response = await withFailover(req, req.config.providers, model, (provider, upstreamModel) =>
+        postForm(
+          provider,
+          `/v1/audio/${task}`,
+          toFormData({ ...forwarded, model: upstreamModel }, { file: files.file }),
+          { responseType: format === 'json' || format === 'verbose_json' ? 'json' : 'text' }
+        )
+      );
+
+      // 返回前审核转写结果
+      const text = transcriptText(response.data, format);
+      if (req.moderation && text) {
+        await enforceModeration(req, [{ role: 'user', content: text }]);
+      }
+
+      if (format === 'json' || format === 'verbose_json') {
+        res.json(response.data);
+        return;
+      }
+
+      res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'text/plain; charset=utf-8');
+      res.status(200).send(response.data);
+    }
+  );
+}
+
+module.exports = {
+  RESPONSE_FORMATS,
+  subtitleText,
+  transcriptText,
+  createTranscriptionRoute
+};
@@ -0,0 +1,450 @@
+// audit.js：审核决定的审计日志
+//
+// AUDIT_LOG 为逗号分隔的落地方式：
+// - jsonl：追加写入 AUDIT_LOG_FILE（默认 data/audit.jsonl），复核记录以单独的行追加
+// - sqlite：写入 AUDIT_SQLITE_FILE（默认 data/audit.db），需要 Node.js 内置的 node:sqlite
+// - webhook：POST 到 AUDIT_WEBHOOK_URL，配置 AUDIT_WEBHOOK_SECRET 时附带 HMAC 签名
+// 管理接口从第一个可查询的落地方式（jsonl / sqlite）读取，jsonl 只读取文件末尾 AUDIT_READ_BYTES 字节（默认 16 MiB）。
+// 写入在后台队列中依次进行，不阻塞请求；队列超过 AUDIT_QUEUE_SIZE（默认 1000）时丢弃新事件并记录日志。
+// 默认只记录内容的 sha256，AUDIT_STORE_CONTENT=true 时保存送审内容；
+// AUDIT_DECISIONS=flagged 时只记录拦截的请求
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger, currentRequestId } = require('./logger');
+
+const DEFAULT_JSONL_FILE = path.join('data', 'audit.jsonl');
+const DEFAULT_SQLITE_FILE = path.join('data', 'audit.db');
+const DEFAULT_READ_BYTES = 16 * 1024 * 1024;
+const DEFAULT_QUEUE_SIZE = 1000;
+
+function auditConfig(env = process.env) {
+  const readBytes = parseInt(env.AUDIT_READ_BYTES, 10);
+  const queueSize = parseInt(env.AUDIT_QUEUE_SIZE, 10);
+  return {
+    sinks: (env.AUDIT_LOG || '')
+      .split(',')
+      .map(sink => sink.trim().toLowerCase())
+      .filter(Boolean),
+    file: env.AUDIT_LOG_FILE || DEFAULT_JSONL_FILE,
+    database: env.AUDIT_SQLITE_FILE || DEFAULT_SQLITE_FILE,
+    webhookUrl: env.AUDIT_WEBHOOK_URL,
+    webhookSecret: env.AUDIT_WEBHOOK_SECRET,
+    storeContent: env.AUDIT_STORE_CONTENT === 'true',
+    flaggedOnly: env.AUDIT_DECISIONS === 'flagged',
+    readBytes: readBytes > 0 ? readBytes : DEFAULT_READ_BYTES,
+    queueSize: queueSize > 0 ? queueSize : DEFAULT_QUEUE_SIZE
+  };
+}
+
+// 校验 AUDIT_LOG，返回错误信息列表；当前 Node.js 没有 node:sqlite 时拒绝 sqlite
+function validateAuditConfig(config) {
+  const errors = [];
+  if (config.sinks.includes('sqlite')) {
+    try {
+      require('node:sqlite');
+    } catch (error) {
+      errors.push(`AUDIT_LOG=sqlite requires node:sqlite (Node.js 22.5 or later), running ${process.version}`);
+    }
+  }
+  return errors;
+}
+
+// 判断事件是否满足查询条件，filter 字段均可省略
+function matchesFilter(event, filter) {
+  if (filter.id && event.id !== filter.id) return false;
+  if (filter.verdict && event.verdict !== filter.verdict) return false;
+  if (filter.client && event.client !== filter.client) return false;
+  if (filter.model && event.model !== filter.model) return false;
+  if (filter.stage && event.stage !== filter.stage) return false;
+  if (filter.category && !event.categories.includes(filter.category)) return false;
+  if (filter.falsePositive !== undefined && event.false_positive !== filter.falsePositive) return false;
+  if (filter.since && event.timestamp < filter.since) return false;
+  if (filter.until && event.timestamp > filter.until) return false;
+  return true;
+}
+
+function applyReview(event, review) {
+  return {
+    ...event,
+    false_positive: review.false_positive,
+    review_note: review.note === undefined ? event.review_note : review.note,
+    reviewed_at: review.reviewed_at
+  };
+}
+
+// JSONL 文件：决定与复核记录都只追加，读取时按 id 合并
+// 读取时逐行流式解析，且只读文件末尾 readBytes 字节，更早的记录不再出现在管理接口中
+class JsonlSink {
+  constructor(file, { readBytes = DEFAULT_READ_BYTES } = {}) {
+    this.file = file;
+    this.readBytes = readBytes;
+  }
+
+  async append(line) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, JSON.stringify(line) + '\n');
+  }
+
+  async record(event) {
+    await this.append(event);
+  }
+
+  async readAll() {
+    let size;
+    try {
+      ({ size } = await fs.promises.stat(this.file));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const start = Math.max(0, size - this.readBytes);
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { start, encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    const events = new Map();
+    // 从文件中间开始读取时，第一行可能不完整
+    let skip = start > 0;
+    for await (const line of lines) {
+      if (skip) {
+        skip = false;
+        continue;
+      }
+      if (!line) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // 跳过写入中断留下的不完整行
+        continue;
+      }
+      if (entry.review) {
+        if (events.has(entry.review)) {
+          events.set(entry.review, applyReview(events.get(entry.review), entry));
+        }
+      } else if (entry.id) {
+        events.set(entry.id, entry);
+      }
+    }
+    return [...events.values()];
+  }
+
+  async query(filter, { limit, offset = 0 }) {
+    const events = (await this.readAll())
+      .filter(event => matchesFilter(event, filter))
+      .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+    return events.slice(offset, offset + limit);
+  }
+
+  async review(id, review) {
+    const [event] = await this.query({ id }, { limit: 1 });
+    if (!event) {
+      return null;
+    }
+    await this.append({ review: id, ...review });
+    return applyReview(event, review);
+  }
+}
+
+const SQLITE_COLUMNS = [
+  'id', 'timestamp', 'request_id', 'client', 'route', 'model', 'policy', 'stage', 'verdict',
+  'categories', 'category_scores', 'content_hash', 'content', 'false_positive', 'review_note', 'reviewed_at'
+];
+
+// SQLite 数据库，使用 Node.js 内置的 node:sqlite（22.5 及以上）
+class SqliteSink {
+  constructor(file) {
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error('the sqlite audit sink requires node:sqlite (Node.js 22.5 or later)');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new sqlite.DatabaseSync(file);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        request_id TEXT,
+        client TEXT,
+        route TEXT,
+        model TEXT,
+        policy TEXT,
+        stage TEXT NOT NULL,
+        verdict TEXT NOT NULL,
+        categories TEXT NOT NULL,
+        category_scores TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        content TEXT,
+        false_positive INTEGER NOT NULL DEFAULT 0,
+        review_note TEXT,
+        reviewed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS audit_events_timestamp ON audit_events (timestamp);
+    `);
+  }
+
+  async record(event) {
+    const row = {
+      ...event,
+      categories: JSON.stringify(event.categories),
+      category_scores: JSON.stringify(event.category_scores),
+      content: event.content === null ? null : JSON.stringify(event.content),
+      false_positive: event.false_positive ? 1 : 0
+    };
+    this.db
+      .prepare(`INSERT INTO audit_events (${SQLITE_COLUMNS.join(', ')}) VALUES (${SQLITE_COLUMNS.map(() => '?').join(', ')})`)
+      .run(...SQLITE_COLUMNS.map(column => (row[column] === undefined ? null : row[column])));
+  }
+
+  async query(filter, { limit, offset = 0 }) {
+    const conditions = [];
+    const params = [];
+    const equals = { id: 'id', verdict: 'verdict', client: 'client', model: 'model', stage: 'stage' };
+    for (const [key, column] of Object.entries(equals)) {
+      if (filter[key]) {
+        conditions.push(`${column} = ?`);
+        params.push(filter[key]);
+      }
+    }
+    if (filter.category) {
+      conditions.push('categories LIKE ?');
+      params.push(`%${JSON.stringify(filter.category)}%`);
+    }
+    if (filter.falsePositive !== undefined) {
+      conditions.push('false_positive = ?');
+      params.push(filter.falsePositive ? 1 : 0);
+    }
+    if (filter.since) {
+      conditions.push('timestamp >= ?');
+      params.push(filter.since);
+    }
+    if (filter.until) {
+      conditions.push('timestamp <= ?');
+      params.push(filter.until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db
+      .prepare(`SELECT * FROM audit_events ${where} ORDER BY timestamp DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    return rows.map(row => ({
+      ...row,
+      categories: JSON.parse(row.categories),
+      category_scores: JSON.parse(row.category_scores),
+      content: row.content === null ? null : JSON.parse(row.content),
+      false_positive: row.false_positive === 1
+    }));
+  }
+
+  async review(id, review) {
+    const result = this.db
+      .prepare('UPDATE audit_events SET false_positive = ?, review_note = COALESCE(?, review_note), reviewed_at = ? WHERE id = ?')
+      .run(review.false_positive ? 1 : 0, review.note === undefined ? null : review.note, review.reviewed_at, id);
+    if (result.changes === 0) {
+      return null;
+    }
+    const [event] = await this.query({ id }, { limit: 1 });
+    return event;
+  }
+}
+
+// Webhook 只负责投递，不支持查询
+class WebhookSink {
+  constructor(url, secret) {
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async record(event) {
+    const body = JSON.stringify(event);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Audit-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+    await axios.post(this.url, body, { headers, timeout: 5000 });
+  }
+}
+
+function createSinks(config) {
+  const sinks = [];
+  for (const name of config.sinks) {
+    try {
+      if (name === 'jsonl') {
+        sinks.push(new JsonlSink(config.file, { readBytes: config.readBytes }));
+      } else if (name === 'sqlite') {
+        sinks.push(new SqliteSink(config.database));
+      } else if (name === 'webhook') {
+        if (!config.webhookUrl) {
+          throw new Error('AUDIT_WEBHOOK_URL is required for the webhook audit sink');
+        }
+        sinks.push(new WebhookSink(config.webhookUrl, config.webhookSecret));
+      } else {
+        throw new Error(`unknown audit sink ${name}`);
+      }
+    } catch (error) {
+      logger.error('invalid AUDIT_LOG', { sink: name, error });
+    }
+  }
+  return sinks;
+}
+
+let sinks = null;
+
+function getAuditSinks() {
+  if (!sinks) {
+    sinks = createSinks(auditConfig());
+  }
+  return sinks;
+}
+
+// 替换落地方式，便于测试或接入其他存储
+function setAuditSinks(value) {
+  sinks = value;
+}
+
+// 管理接口使用的可查询落地方式，未配置时返回 null
+function reviewSink() {
+  return getAuditSinks().find(sink => typeof sink.query === 'function') || null;
+}
+
+// 内联图片体积大且不便复核，只保留占位
+function auditContent(messages) {
+  return messages.map(({ role, content }) => ({
+    role,
+    content: Array.isArray(content)
+      ? content.map(part => (part && part.type === 'image_url' && String(part.image_url && part.image_url.url).startsWith('data:')
+        ? { type: 'image_url', image_url: { url: '[inline image]' } }
+        : part))
+      : content
+  }));
+}
+
+// 待写入的事件，由 drainQueue 在后台依次写入
+const queue = [];
+let draining = null;
+
+async function drainQueue() {
+  while (queue.length > 0) {
+    const { event, targets } = queue.shift();
+    await Promise.all(targets.map(sink => Promise.resolve()
+      .then(() => sink.record(event))
+      .catch(error => logger.warn('audit log error', { error }))));
+  }
+}
+
+// 等待队列中已有的事件全部写入（用于测试或退出前）
+function flushAuditLog() {
+  return draining || Promise.resolve();
+}
+
+// 记录一次审核决定：事件放入后台队列后立即返回，写入失败只记日志，不影响请求
+function recordDecision(req, { stage = 'input', result, messages }) {
+  const config = auditConfig();
+  const targets = getAuditSinks();
+  if (targets.length === 0 || (config.flaggedOnly && !result.flagged)) {
+    return;
+  }
+
+  const content = messages.map(({ role, content: value }) => ({ role, content: value }));
+  const event = {
+    id: `audit_${crypto.randomBytes(12).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    request_id: currentRequestId() || null,
+    client: req.client ? req.client.name : null,
+    route: String(req.url || '').split('?')[0],
+    model: (req.body && typeof req.body.model === 'string' && req.body.model) || null,
+    policy: req.policy ? req.policy.name : null,
+    stage,
+    verdict: result.flagged ? 'flagged' : 'passed',
+    categories: Object.keys(result.categories || {}).filter(category => result.categories[category]),
+    category_scores: result.category_scores || {},
+    content_hash: crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex'),
+    content: config.storeContent ? auditContent(content) : null,
+    false_positive: false,
+    review_note: null,
+    reviewed_at: null
+  };
+
+  if (queue.length >= config.queueSize) {
+    logger.warn('audit queue full, dropping event', { audit_id: event.id, verdict: event.verdict });
+    return;
+  }
+  queue.push({ event, targets });
+  if (!draining) {
+    draining = drainQueue().finally(() => {
+      draining = null;
+    });
+  }
+}
+
+// 按条件查询审核记录，按时间倒序
+async function queryDecisions(filter = {}, options = {}) {
+  const sink = reviewSink();
+  return sink ? sink.query(filter, { limit: options.limit || 100, offset: options.offset || 0 }) : [];
+}
+
+// 复核一条记录（标记或取消误判），不存在时返回 null
+async function reviewDecision(id, { falsePositive, note }) {
+  const sink = reviewSink();
+  if (!sink) {
+    return null;
+  }
+  return sink.review(id, {
+    false_positive: falsePositive,
+    ...(note !== undefined ? { note } : {}),
+    reviewed_at: new Date().toISOString()
+  });
+}
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'request_id', 'client', 'route', 'model', 'policy', 'stage', 'verdict',
+  'categories', 'content_hash', 'false_positive', 'review_note', 'reviewed_at', 'content'
+];
+
+// 以 = + - @ 开头的单元格会被表格软件当作公式执行，加 ' 前缀按文本处理
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join(';') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const event of events) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(event[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  auditConfig,
+  validateAuditConfig,
+  matchesFilter,
+  JsonlSink,
+  SqliteSink,
+  WebhookSink,
+  setAuditSinks,
+  reviewSink,
+  recordDecision,
+  flushAuditLog,
+  queryDecisions,
+  reviewDecision,
+  toCsv
+};
@@ -0,0 +1,226 @@
+// cache.js
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { buildChatRequest } = require('./params');
+const { createSseParser, parseEventData } = require('./sse');
+const { logger } = require('./logger');
+
+let store = null;
+
+// 响应缓存配置：CHAT_CACHE=true 启用，只缓存 temperature 为 0 的请求
+function cacheConfig(env = process.env) {
+  return {
+    enabled: env.CHAT_CACHE === 'true',
+    ttlMs: (Number(env.CHAT_CACHE_TTL) || 60 * 60) * 1000,
+    maxEntries: Number(env.CHAT_CACHE_MAX_ENTRIES) || 1000,
+    // 超过该大小的响应不缓存
+    maxBytes: Number(env.CHAT_CACHE_MAX_BYTES) || 1024 * 1024
+  };
+}
+
+function getStore() {
+  if (!store) {
+    store = createStore(process.env, { maxEntries: cacheConfig().maxEntries });
+  }
+  return store;
+}
+
+// 测试或自定义部署时替换缓存存储
+function setStore(customStore) {
+  store = customStore;
+}
+
+function isCacheable(req) {
+  return cacheConfig().enabled && req.body.temperature === 0;
+}
+
+// 请求头 Cache-Control: no-cache 时跳过读取缓存，但仍写入新结果
+function bypassesCache(req) {
+  return /no-cache/i.test(req.headers['cache-control'] || '');
+}
+
+// 递归排序对象键，保证相同请求得到相同的哈希
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+// 缓存键基于转发给上游的请求体，流式与非流式请求共用；审核策略不同的请求互不命中
+function chatCacheKey(req) {
+  const body = buildChatRequest(req.body);
+  delete body.stream;
+  delete body.stream_options;
+  const scope = req.client.bypassModeration ? 'bypass' : req.policy.name;
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([scope, normalize(body)]))
+    .digest('hex');
+  return `chat:${hash}`;
+}
+
+async function lookupCompletion(req) {
+  if (!isCacheable(req) || bypassesCache(req)) {
+    return null;
+  }
+  try {
+    const value = await getStore().get(chatCacheKey(req));
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    logger.warn('chat cache error', { client: req.client.name, error });
+    return null;
+  }
+}
+
+// 只缓存正常结束的响应，被输出审核拦截的结果不缓存
+async function storeCompletion(req, completion) {
+  if (!isCacheable(req) || !completion || !Array.isArray(completion.choices)) {
+    return;
+  }
+  if (completion.choices.some(choice => choice.finish_reason === 'content_filter')) {
+    return;
+  }
+
+  const config = cacheConfig();
+  const value = JSON.stringify(completion);
+  if (Buffer.byteLength(value) > config.maxBytes) {
+    return;
+  }
+
+  try {
+    await getStore().set(chatCacheKey(req), value, config.ttlMs);
+  } catch (error) {
+    logger.warn('chat cache error', { client: req.client.name, error });
+  }
+}
+
+// 将缓存的 chat.completion 以 SSE 流的形式重放
+function replayStream(res, completion, includeUsage) {
+  const base = {
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: completion.created,
+    model: completion.model,
+    system_fingerprint: completion.system_fingerprint
+  };
+  const write = chunk => res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+
+  for (const choice of completion.choices) {
+    const message = choice.message || {};
+    const delta = { role: message.role || 'assistant', content: message.content === undefined ? null : message.content };
+    if (Array.isArray(message.tool_calls)) {
+      delta.tool_calls = message.tool_calls.map((call, index) => ({ index, ...call }));
+    }
+    if (message.refusal) {
+      delta.refusal = message.refusal;
+    }
+    write({ ...base, choices: [{ index: choice.index, delta, logprobs: choice.logprobs || null, finish_reason: null }] });
+    write({ ...base, choices: [{ index: choice.index, delta: {}, logprobs: null, finish_reason: choice.finish_reason }] });
+  }
+
+  if (includeUsage && completion.usage) {
+    write({ ...base, choices: [], usage: completion.usage });
+  }
+
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+// 收集流式响应并拼装为 chat.completion，流异常结束时返回 null
+function collectStream(stream) {
+  return new Promise((resolve) => {
+    const choices = new Map();
+    let base = null;
+    let usage = null;
+
+    const parser = createSseParser(({ data }) => {
+      const chunk = parseEventData(data);
+      if (!chunk || !Array.isArray(chunk.choices)) {
+        return;
+      }
+      base = base || chunk;
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      for (const choice of chunk.choices) {
+        const index = choice.index || 0;
+        if (!choices.has(index)) {
+          choices.set(index, { index, message: { role: 'assistant', content: null }, finish_reason: null, toolCalls: [] });
+        }
+        const state = choices.get(index);
+        const delta = choice.delta || {};
+
+        if (typeof delta.content === 'string') {
+          state.message.content = (state.message.content || '') + delta.content;
+        }
+        if (typeof delta.refusal === 'string') {
+          state.message.refusal = (state.message.refusal || '') + delta.refusal;
+        }
+        for (const call of delta.tool_calls || []) {
+          const position = call.index || 0;
+          const existing = state.toolCalls[position] || { id: call.id, type: call.type || 'function', function: { name: '', arguments: '' } };
+          if (call.id) existing.id = call.id;
+          if (call.function && call.function.name) existing.function.name += call.function.name;
+          if (call.function && call.function.arguments) existing.function.arguments += call.function.arguments;
+          state.toolCalls[position] = existing;
+        }
+        if (choice.finish_reason) {
+          state.finish_reason = choice.finish_reason;
+        }
+      }
+    });
+
+    let done = false;
+    function finish(completion) {
+      if (!done) {
+        done = true;
+        resolve(completion);
+      }
+    }
+
+    stream.on('data', chunk => parser.write(chunk));
+    stream.on('end', () => {
+      parser.end();
+      if (!base) {
+        finish(null);
+        return;
+      }
+      finish({
+        id: base.id,
+        object: 'chat.completion',
+        created: base.created,
+        model: base.model,
+        system_fingerprint: base.system_fingerprint,
+        choices: [...choices.values()].map(({ toolCalls, ...choice }) => {
+          if (toolCalls.length > 0) {
+            choice.message.tool_calls = toolCalls.filter(Boolean);
+          }
+          return choice;
+        }),
+        usage
+      });
+    });
+    stream.on('close', () => finish(null));
+    stream.on('error', () => finish(null));
+  });
+}
+
+module.exports = {
+  getStore,
+  setStore,
+  isCacheable,
+  chatCacheKey,
+  lookupCompletion,
+  storeCompletion,
+  replayStream,
+  collectStream
+};
@@ -0,0 +1,527 @@
+// chat.js
+
+const { ApiError, handleError, sendError } = require('./errors');
+const {
+  recordUsage,
+  usageTokens,
+  trackStreamUsage,
+  estimateTokens,
+  estimatePromptTokens
+} = require('./ratelimit');
+const { createSseParser, parseEventData } = require('./sse');
+const { withFailover, postJson } = require('./providers');
+const { validateChatParams, buildChatRequest } = require('./params');
+const { validateMessages, messageText, moderationRole } = require('./messages');
+const {
+  moderate,
+  splitContent,
+  collectImages,
+  prepareImageModeration,
+  checkUnmoderatedParts,
+  enforceModeration
+} = require('./moderation');
+const { recordDecision } = require('./audit');
+const { logger, annotate, addTiming } = require('./logger');
+const { observeUsage, observeStreamTtfb } = require('./metrics');
+const {
+  isCacheable,
+  lookupCompletion,
+  storeCompletion,
+  replayStream,
+  collectStream
+} = require('./cache');
+
+// 提取审核用的消息内容（含工具调用参数与工具结果），keepImages 为 true 时以 OpenAI 多模态格式保留图片
+function preprocessMessages(messages, keepImages = false) {
+  return messages.map(message => {
+    const role = moderationRole(message.role);
+    const text = messageText(message);
+
+    const images = keepImages && Array.isArray(message.content)
+      ? message.content
+        .filter(item => item.type === 'image_url')
+        .map(item => ({
+          type: 'image_url',
+          image_url: { url: typeof item.image_url === 'string' ? item.image_url : item.image_url.url }
+        }))
+      : [];
+
+    if (images.length > 0) {
+      return {
+        role,
+        content: text ? [{ type: 'text', text }, ...images] : images
+      };
+    }
+
+    return { role, content: text };
+  });
+}
+
+// 输出审核配置（OUTPUT_MODERATION=true 时启用）
+function getOutputModerationConfig() {
+  const interval = parseInt(process.env.OUTPUT_MODERATION_INTERVAL, 10);
+  const window = parseInt(process.env.OUTPUT_MODERATION_WINDOW, 10);
+  const windowSize = window > 0 ? window : 1000;
+  const overlap = parseInt(process.env.OUTPUT_MODERATION_OVERLAP, 10);
+  return {
+    enabled: process.env.OUTPUT_MODERATION === 'true',
+    // 每累计多少个字符触发一次流式审核
+    interval: interval > 0 ? interval : 200,
+    // 每次审核的滑动窗口大小（字符数），新增内容超过窗口时按窗口切分
+    windowSize,
+    // 相邻两次审核重叠的字符数，避免违规内容恰好跨越切分点
+    overlap: Math.min(overlap >= 0 ? overlap : 100, windowSize - 1)
+  };
+}
+
+// 审核模型生成的文本，返回审核结果
+function checkOutputModeration(text, firstProvider, policy) {
+  return moderate([{ role: 'assistant', content: text }], firstProvider, policy);
+}
+
+// 输出被拦截时写入审计日志（后台写入，不阻塞响应）
+function recordOutputViolation(req, result, text) {
+  recordDecision(req, { stage: 'output', result, messages: [{ role: 'assistant', content: text }] });
+}
+
+// 审核非流式响应，违规时清空内容并将 finish_reason 设为 content_filter
+async function moderateCompletion(req, data, firstProvider, policy) {
+  if (!data || !Array.isArray(data.choices)) {
+    return data;
+  }
+
+  for (const choice of data.choices) {
+    // 工具调用参数一并审核
+    const text = choice.message ? messageText(choice.message) : '';
+    if (!text) {
+      continue;
+    }
+
+    const result = await checkOutputModeration(text, firstProvider, policy);
+    if (result.flagged) {
+      annotate({ output_moderation: 'flagged' });
+      recordOutputViolation(req, result, text);
+      choice.message = { role: 'assistant', content: null };
+      choice.finish_reason = 'content_filter';
+    }
+  }
+
+  return data;
+}
+
+// SSE 心跳间隔（毫秒），STREAM_HEARTBEAT_INTERVAL=0 时关闭
+function getHeartbeatInterval() {
+  const interval = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL, 10);
+  return interval >= 0 ? interval : 15000;
+}
+
+// 定时发送 SSE 注释行，避免代理在审核等待期间断开连接；返回停止函数
+// 心跳发出后响应头已发送，之后的审核拦截以流内错误事件返回
+function startHeartbeat(res) {
+  const interval = getHeartbeatInterval();
+  if (!interval) {
+    return () => {};
+  }
+  const timer = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(': ping\n\n');
+    }
+  }, interval);
+  return () => clearInterval(timer);
+}
+
+// 解析上游 SSE 流并逐个事件转发：
+// - options.outputConfig 存在时按滑动窗口审核生成内容
+// - 客户端断开时销毁上游流
+// - 上游出错时发送错误事件和 [DONE]
+// - 请求了 include_usage 而上游未返回 usage 时补发估算的 usage
+// options.startedAt 为请求开始时间，用于统计首个事件的延迟；正常结束时返回 true
+function proxyStream(req, upstream, res, options = {}) {
+  const { outputConfig, firstProvider, policy, startedAt = Date.now() } = options;
+  const includeUsage = Boolean(req.body.stream_options && req.body.stream_options.include_usage);
+
+  return new Promise((resolve) => {
+    // 每个 choice 已累计的内容及已审核到的位置
+    const choices = new Map();
+    let lastChunk = null;
+    let usage = null;
+    let pending = Promise.resolve();
+    let ended = false;
+    let finished = false;
+    let forwarded = false;
+    const start = Date.now();
+
+    function finish(events, completed = false) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      addTiming('generation', Date.now() - start);
+      upstream.destroy();
+      try {
+        for (const event of events) {
+          res.write(event);
+        }
+        res.write('data: [DONE]\n\n');
+      } catch (writeError) {
+        logger.error('error writing stream response', { error: writeError });
+      }
+      res.end();
+      resolve(completed);
+    }
+
+    function block() {
+      logger.info('output moderation: content violation detected');
+      annotate({ output_moderation: 'flagged' });
+      const indexes = choices.size > 0 ? [...choices.keys()] : [0];
+      finish([`data: ${JSON.stringify({
+        id: lastChunk?.id,
+        object: 'chat.completion.chunk',
+        created: lastChunk?.created || Math.floor(Date.now() / 1000),
+        model: lastChunk?.model,
+        choices: indexes.map(index => ({
+          index,
+          delta: {},
+          finish_reason: 'content_filter'
+        }))
+      })}\n\n`]);
+    }
+
+    function fail(error) {
+      logger.warn('stream proxy error', { error });
+      finish([`data: ${JSON.stringify(handleError(error).body)}\n\n`]);
+    }
+
+    // 上游未返回 usage 时按输入消息和生成内容估算
+    function usageEvents() {
+      if (!includeUsage || usage) {
+        return [];
+      }
+      const promptTokens = estimatePromptTokens(req.body.messages);
+      const completionTokens = [...choices.values()]
+        .reduce((total, state) => total + estimateTokens(state.content), 0);
+      return [`data: ${JSON.stringify({
+        id: lastChunk?.id,
+        object: 'chat.completion.chunk',
+        created: lastChunk?.created || Math.floor(Date.now() / 1000),
+        model: lastChunk?.model || req.body.model,
+        choices: [],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      })}\n\n`];
+    }
+
+    // 审核某个 choice 上次检查之后的全部内容：从上次位置回退 overlap 个字符开始（不足一个窗口时补足上文），
+    // 按窗口切分后依次审核，命中即停止
+    function scheduleCheck(state) {
+      const { windowSize, overlap } = outputConfig;
+      const start = Math.max(0, Math.min(state.checked - overlap, state.content.length - windowSize));
+      const chunks = splitContent(state.content.slice(start), windowSize, overlap);
+      state.checked = state.content.length;
+      pending = pending
+        .then(async () => {
+          for (const text of chunks) {
+            if (finished) {
+              return;
+            }
+            const result = await checkOutputModeration(text, firstProvider, policy);
+            if (result.flagged) {
+              block();
+              recordOutputViolation(req, result, text);
+              return;
+            }
+          }
+        })
+        .catch(fail);
+    }
+
+    const parser = createSseParser(({ raw, data }) => {
+      if (finished) {
+        return;
+      }
+
+      // [DONE] 留到最终审核完成后再发送
+      if (data === '[DONE]') {
+        return;
+      }
+
+      const chunk = parseEventData(data);
+      if (chunk) {
+        lastChunk = chunk;
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        // 上游以 SSE 事件返回的错误照常转发，之后不再继续
+        if (chunk.error) {
+          finish([raw + '\n\n']);
+          return;
+        }
+        for (const choice of chunk.choices || []) {
+          // 工具调用参数与正文一起累计审核
+          const content = (choice.delta?.content || '') + (choice.delta?.tool_calls || [])
+            .map(call => call.function?.arguments || '')
+            .join('');
+          if (!content) {
+            continue;
+          }
+          const index = choice.index || 0;
+          if (!choices.has(index)) {
+            choices.set(index, { content: '', checked: 0 });
+          }
+          const state = choices.get(index);
+          state.content += content;
+          if (outputConfig && state.content.length - state.checked >= outputConfig.interval) {
+            scheduleCheck(state);
+          }
+        }
+      }
+
+      if (!forwarded) {
+        forwarded = true;
+        observeStreamTtfb(req.authorizedModel, (Date.now() - startedAt) / 1000);
+      }
+
+      // 无法解析的事件原样转发
+      res.write(raw + '\n\n');
+    });
+
+    upstream.on('data', (chunk) => {
+      if (!finished) {
+        parser.write(chunk);
+      }
+    });
+
+    upstream.on('end', () => {
+      ended = true;
+      if (finished) {
+        return;
+      }
+      parser.end();
+      // 审核剩余未检查的内容
+      if (outputConfig) {
+        for (const state of choices.values()) {
+          if (state.content.length > state.checked) {
+            scheduleCheck(state);
+          }
+        }
+      }
+      pending.then(() => finish(usageEvents(), true));
+    });
+
+    upstream.on('error', (error) => {
+      if (!finished) {
+        fail(error);
+      }
+    });
+
+    // 上游连接中断但没有触发 error 时同样视为失败
+    upstream.on('close', () => {
+      if (!ended && !finished) {
+        fail(new ApiError(502, 'Upstream stream closed unexpectedly', 'api_error', 'upstream_stream_closed'));
+      }
+    });
+
+    // 客户端断开后不再读取上游，避免继续为生成付费
+    res.on('close', () => {
+      if (!finished) {
+        finished = true;
+        addTiming('generation', Date.now() - start);
+        logger.info('client disconnected, cancelling upstream stream');
+        annotate({ client_aborted: true });
+        upstream.destroy();
+        resolve(false);
+      }
+    });
+  });
+}
+
+// 发送到第二个运营商的请求处理，按模型路由并在失败时切换运营商
+async function sendToSecondProvider(req, providers, signal) {
+  // 转发全部参数，并应用运营方的禁用与覆盖策略
+  const secondProviderRequest = buildChatRequest(req.body);
+
+  logger.debug('second provider request', secondProviderRequest);
+
+  // 流式请求在收到响应头后才返回，因此切换只发生在向客户端写出第一个字节之前
+  return withFailover(req, providers, req.body.model, (provider, model) => postJson(
+    provider,
+    '/v1/chat/completions',
+    { ...secondProviderRequest, model },
+    { signal, ...(req.body.stream ? { responseType: 'stream' } : {}) }
+  ));
+}
+
+// 审核输入消息，违规时抛出 403；含无法审核的音频或文件片段时按策略拒绝（400）
+async function moderateInput(req) {
+  checkUnmoderatedParts(req.body.messages, req.policy);
+  // 带图片且配置了视觉审核模型时，图片一并送审
+  const vision = prepareImageModeration(collectImages(req.body.messages), req.policy);
+  const textMessages = preprocessMessages(req.body.messages, vision);
+
+  await enforceModeration(req, textMessages, vision);
+}
+
+// 推测执行：SPECULATIVE_GENERATION=true 时输入审核与上游生成同时发起
+function isSpeculative() {
+  return process.env.SPECULATIVE_GENERATION === 'true';
+}
+
+// 审核输入并请求第二个运营商。推测模式下上游响应在审核通过前不会被读取，
+// 流式响应由可读流暂存；审核未通过时中止上游请求
+async function moderateAndGenerate(req, providers, controller = new AbortController()) {
+  if (req.client.bypassModeration) {
+    annotate({ moderation: 'bypassed' });
+    return sendToSecondProvider(req, providers, controller.signal);
+  }
+
+  if (!isSpeculative()) {
+    await moderateInput(req);
+    return sendToSecondProvider(req, providers, controller.signal);
+  }
+
+  const generation = sendToSecondProvider(req, providers, controller.signal);
+  // 审核期间上游先失败时避免未处理的 rejection，错误在审核通过后再抛出
+  generation.catch(() => {});
+
+  try {
+    await moderateInput(req);
+  } catch (error) {
+    controller.abort();
+    // 已收到响应头的流式响应需要单独销毁
+    generation.then(response => {
+      if (response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+    }, () => {});
+    throw error;
+  }
+
+  return generation;
+}
+
+// 处理流式响应的函数。其他协议的适配路由可通过 options 转换输出：
+// createOutput(res) 返回写入目标（实现 write / end / on），sendStreamError(res, error) 输出错误
+async function handleStream(req, res, config, options = {}) {
+  const { createOutput = target => target, sendStreamError = sendError } = options;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const startedAt = Date.now();
+
+  // 客户端在审核或等待上游期间断开时中止上游请求
+  const controller = new AbortController();
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      clientClosed = true;
+      controller.abort();
+    }
+  });
+  const stopHeartbeat = startHeartbeat(res);
+
+  try {
+    // 审核通过后才开始读取上游流
+    const response = await moderateAndGenerate(req, config.providers, controller);
+    trackStreamUsage(req, response.data);
+    const collected = isCacheable(req) ? collectStream(response.data) : null;
+
+    const outputConfig = getOutputModerationConfig();
+    const moderateOutput = outputConfig.enabled && !req.client.bypassModeration;
+    const completed = await proxyStream(req, response.data, createOutput(res), moderateOutput
+      ? { outputConfig, firstProvider: config.firstProvider, policy: req.policy, startedAt }
+      : { startedAt });
+    if (completed && collected) {
+      await storeCompletion(req, await collected);
+    }
+  } catch (error) {
+    if (clientClosed) {
+      return;
+    }
+    logger.warn('stream handler error', { client: req.client.name, error });
+    sendStreamError(res, error);
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+// 命中响应缓存时直接返回并跳过审核与上游请求，返回是否已响应
+// options 与 handleStream / handleNormal 相同，缓存的 chat.completion 按对应协议输出
+async function respondFromCache(req, res, options = {}) {
+  const { createOutput = target => target, format = data => data } = options;
+  const cached = await lookupCompletion(req);
+  if (isCacheable(req)) {
+    res.setHeader('x-cache', cached ? 'HIT' : 'MISS');
+    annotate({ cache: cached ? 'hit' : 'miss' });
+  }
+  if (!cached) {
+    return false;
+  }
+
+  if (req.body.stream) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    replayStream(createOutput(res), cached, req.body.stream_options && req.body.stream_options.include_usage);
+  } else {
+    res.json(format(cached));
+  }
+  return true;
+}
+
+// 处理非流式响应的函数，options.format 将 chat.completion 转换为其他协议的响应
+async function handleNormal(req, res, config, options = {}) {
+  const { format = data => data } = options;
+  const response = await moderateAndGenerate(req, config.providers);
+  observeUsage(req.authorizedModel, response.data && response.data.usage);
+  await recordUsage(req, usageTokens(response.data && response.data.usage));
+
+  // 输出审核：先缓冲完整响应，审核通过后再返回
+  if (getOutputModerationConfig().enabled && !req.client.bypassModeration) {
+    const data = await moderateCompletion(req, response.data, config.firstProvider, req.policy);
+    await storeCompletion(req, data);
+    return res.json(format(data));
+  }
+
+  await storeCompletion(req, response.data);
+  res.json(format(response.data));
+}
+
+// 校验聊天请求参数
+async function validateChatRequest(req, res, next) {
+  if (!req.body.messages || !Array.isArray(req.body.messages)) {
+    throw new ApiError(400, 'messages is required and must be an array', 'invalid_request_error', 'invalid_messages');
+  }
+
+  validateMessages(req.body.messages);
+
+  if (!req.body.model) {
+    throw new ApiError(400, 'model is required', 'invalid_request_error', 'invalid_model');
+  }
+
+  if (typeof req.body.model !== 'string') {
+    throw new ApiError(400, 'model must be a string', 'invalid_request_error', 'invalid_model');
+  }
+
+  validateChatParams(req.body);
+
+  await next();
+}
+
+module.exports = {
+  preprocessMessages,
+  getOutputModerationConfig,
+  checkOutputModeration,
+  moderateCompletion,
+  startHeartbeat,
+  proxyStream,
+  sendToSecondProvider,
+  moderateInput,
+  moderateAndGenerate,
+  respondFromCache,
+  handleStream,
+  handleNormal,
+  validateChatRequest
+};
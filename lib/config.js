@@ -0,0 +1,101 @@
+// config.js
+
+const { loadKeys } = require('./keys');
+const { loadProviders } = require('./providers');
+const { loadPolicies } = require('./policies');
+const { CATEGORIES } = require('./moderation');
+const { loadPrefilter } = require('./prefilter');
+const { auditConfig, validateAuditConfig } = require('./audit');
+const { logger } = require('./logger');
+
+// 读取并校验环境变量，模块加载时执行一次
+function loadConfig(env = process.env) {
+  const errors = [];
+
+  // 第一个运营商（审核模型）的必填项
+  function required(name) {
+    const value = env[name];
+    if (!value) {
+      errors.push({ section: 'firstProvider', message: `Missing: ${name}` });
+      return undefined;
+    }
+    return value;
+  }
+
+  function url(name) {
+    const value = required(name);
+    if (value && !/^https?:\/\//.test(value)) {
+      errors.push({ section: 'firstProvider', message: `Invalid URL: ${name}` });
+      return undefined;
+    }
+    // 去掉末尾的斜杠，方便拼接路径
+    return value && value.replace(/\/+$/, '');
+  }
+
+  const registry = loadKeys(env);
+  for (const message of registry.errors) {
+    errors.push({ section: 'auth', message });
+  }
+
+  const upstreams = loadProviders(env);
+  for (const message of upstreams.errors) {
+    errors.push({ section: 'providers', message });
+  }
+
+  const moderation = loadPolicies(env);
+  for (const message of moderation.errors) {
+    errors.push({ section: 'moderation', message });
+  }
+  for (const key of registry.keys) {
+    if (key.policy && !moderation.policies.has(key.policy)) {
+      errors.push({ section: 'moderation', message: `Unknown moderation policy ${key.policy} for key ${key.name}` });
+    }
+  }
+
+  const rules = loadPrefilter(env, CATEGORIES);
+  for (const message of rules.errors) {
+    errors.push({ section: 'moderation', message });
+  }
+
+  for (const message of validateAuditConfig(auditConfig(env))) {
+    errors.push({ section: 'audit', message });
+  }
+
+  const config = {
+    keys: registry.keys,
+    firstProvider: {
+      url: url('FIRST_PROVIDER_URL'),
+      model: required('FIRST_PROVIDER_MODEL'),
+      key: required('FIRST_PROVIDER_KEY')
+    },
+    providers: upstreams.providers,
+    policies: moderation.policies,
+    prefilter: rules.prefilter
+  };
+
+  config.errors = errors;
+  return config;
+}
+
+let cached = null;
+
+function getConfig() {
+  if (!cached) {
+    cached = loadConfig();
+    if (cached.errors.length > 0) {
+      logger.error('configuration errors', { errors: cached.errors.map(error => error.message) });
+    }
+  }
+  return cached;
+}
+
+// 测试或热更新时重新读取环境变量
+function resetConfig() {
+  cached = null;
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  resetConfig
+};
@@ -0,0 +1,178 @@
+// embeddings.js
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { createStore } = require('./store');
+const { logger } = require('./logger');
+
+let cache = null;
+
+// 缓存配置：EMBEDDINGS_CACHE=true 启用，EMBEDDINGS_CACHE_TTL 为秒数
+function cacheConfig(env = process.env) {
+  return {
+    enabled: env.EMBEDDINGS_CACHE === 'true',
+    ttlMs: (Number(env.EMBEDDINGS_CACHE_TTL) || 24 * 60 * 60) * 1000,
+    maxEntries: Number(env.EMBEDDINGS_CACHE_MAX_ENTRIES) || 10000
+  };
+}
+
+function getCache() {
+  if (!cache) {
+    cache = createStore(process.env, { maxEntries: cacheConfig().maxEntries });
+  }
+  return cache;
+}
+
+// 测试或自定义部署时替换缓存存储
+function setCache(store) {
+  cache = store;
+}
+
+function batchSize(env = process.env) {
+  return Number(env.EMBEDDINGS_BATCH_SIZE) || 2048;
+}
+
+function maxInputs(env = process.env) {
+  return Number(env.EMBEDDINGS_MAX_INPUTS) || 8192;
+}
+
+function isTokenArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(Number.isInteger);
+}
+
+// 将 input 规范化为输入列表：字符串、字符串数组、token 数组或 token 数组的数组
+function normalizeInput(input) {
+  if (typeof input === 'string') {
+    return input ? [input] : null;
+  }
+  if (isTokenArray(input)) {
+    return [input];
+  }
+  if (Array.isArray(input) && input.length > 0 &&
+    input.every(item => (typeof item === 'string' && item) || isTokenArray(item))) {
+    return input;
+  }
+  return null;
+}
+
+function invalid(param, message) {
+  const error = new ApiError(400, message, 'invalid_request_error', `invalid_${param}`);
+  error.param = param;
+  return error;
+}
+
+function validateEmbeddingRequest(body) {
+  if (!body.model || typeof body.model !== 'string') {
+    throw invalid('model', 'model is required and must be a string');
+  }
+
+  const inputs = normalizeInput(body.input);
+  if (!inputs) {
+    throw invalid('input', 'input must be a non-empty string, array of strings, array of tokens or array of token arrays');
+  }
+  if (inputs.length > maxInputs()) {
+    throw invalid('input', `input must contain at most ${maxInputs()} items`);
+  }
+
+  if (body.dimensions !== undefined && !(Number.isInteger(body.dimensions) && body.dimensions > 0)) {
+    throw invalid('dimensions', 'dimensions must be a positive integer');
+  }
+
+  if (body.encoding_format !== undefined && !['float', 'base64'].includes(body.encoding_format)) {
+    throw invalid('encoding_format', "encoding_format must be one of 'float', 'base64'");
+  }
+
+  if (body.user !== undefined && typeof body.user !== 'string') {
+    throw invalid('user', 'user must be a string');
+  }
+}
+
+// 缓存键由模型、维度、编码格式与输入内容的哈希组成
+function cacheKey(body, input) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([body.model, body.dimensions || null, body.encoding_format || 'float', input]))
+    .digest('hex');
+  return `embeddings:${hash}`;
+}
+
+async function readCache(keys) {
+  try {
+    return await Promise.all(keys.map(async key => {
+      const value = await getCache().get(key);
+      return value ? JSON.parse(value) : null;
+    }));
+  } catch (error) {
+    logger.warn('embeddings cache error', { error });
+    return keys.map(() => null);
+  }
+}
+
+async function writeCache(entries, ttlMs) {
+  try {
+    await Promise.all(entries.map(([key, embedding]) => getCache().set(key, JSON.stringify(embedding), ttlMs)));
+  } catch (error) {
+    logger.warn('embeddings cache error', { error });
+  }
+}
+
+// 按批次请求上游并按原顺序合并结果；send(inputs) 返回上游响应数据
+async function createEmbeddings(body, send) {
+  const inputs = normalizeInput(body.input);
+  const config = cacheConfig();
+  const keys = config.enabled ? inputs.map(input => cacheKey(body, input)) : [];
+  const embeddings = config.enabled ? await readCache(keys) : inputs.map(() => null);
+
+  const missing = [];
+  embeddings.forEach((embedding, index) => {
+    if (embedding === null) {
+      missing.push(index);
+    }
+  });
+
+  const usage = { prompt_tokens: 0, total_tokens: 0 };
+  let model = body.model;
+  const size = batchSize();
+
+  for (let start = 0; start < missing.length; start += size) {
+    const indexes = missing.slice(start, start + size);
+    const data = await send(indexes.map(index => inputs[index]));
+
+    if (!data || !Array.isArray(data.data) || data.data.length !== indexes.length) {
+      throw new ApiError(502, 'Invalid embeddings response from provider', 'api_error', 'invalid_provider_response');
+    }
+
+    model = data.model || model;
+    usage.prompt_tokens += (data.usage && data.usage.prompt_tokens) || 0;
+    usage.total_tokens += (data.usage && data.usage.total_tokens) || 0;
+
+    const fresh = [];
+    data.data.forEach((item, position) => {
+      const index = indexes[Number.isInteger(item.index) ? item.index : position];
+      embeddings[index] = item.embedding;
+      if (config.enabled) {
+        fresh.push([keys[index], item.embedding]);
+      }
+    });
+    if (fresh.length > 0) {
+      await writeCache(fresh, config.ttlMs);
+    }
+  }
+
+  return {
+    object: 'list',
+    data: embeddings.map((embedding, index) => ({ object: 'embedding', index, embedding })),
+    model,
+    usage,
+    cached: inputs.length - missing.length
+  };
+}
+
+module.exports = {
+  getCache,
+  setCache,
+  normalizeInput,
+  validateEmbeddingRequest,
+  cacheKey,
+  createEmbeddings
+};
@@ -0,0 +1,121 @@
+// errors.js
+
+const { logger, annotate } = require('./logger');
+
+// 带 HTTP 状态码的 API 错误，统一输出 OpenAI 风格的错误结构
+class ApiError extends Error {
+  constructor(status, message, type, code, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.type = type || 'invalid_request_error';
+    this.code = code || null;
+    this.details = details;
+    this.param = null;
+  }
+}
+
+// 网络层错误码对应的状态码
+const CONNECTION_ERRORS = {
+  ECONNREFUSED: 503,
+  ECONNRESET: 502,
+  ENOTFOUND: 502,
+  EAI_AGAIN: 502,
+  ECONNABORTED: 504,
+  ETIMEDOUT: 504
+};
+
+function errorBody(message, type, code, details, param = null) {
+  const body = {
+    error: {
+      message,
+      type,
+      param,
+      code
+    }
+  };
+  if (details !== undefined) {
+    body.error.details = details;
+  }
+  return body;
+}
+
+// 按 handleError 的分支归类上游错误，用于指标统计
+function providerErrorKind(error) {
+  if (error.response) {
+    return { kind: 'upstream', code: String(error.response.status) };
+  }
+  if (CONNECTION_ERRORS[error.code]) {
+    return { kind: 'connection', code: error.code };
+  }
+  return { kind: 'internal', code: error.code || '' };
+}
+
+// 处理错误并返回 { status, body }
+function handleError(error) {
+  if (error instanceof ApiError) {
+    return {
+      status: error.status,
+      body: errorBody(error.message, error.type, error.code, error.details, error.param)
+    };
+  }
+
+  // 上游返回了错误响应（流式响应的 data 是流，无法读取内容）
+  if (error.response) {
+    const data = error.response.data;
+    const upstreamError = data && typeof data === 'object' && typeof data.pipe !== 'function'
+      ? data.error
+      : null;
+    logger.warn('upstream error', { status: error.response.status, url: error.config?.url });
+    return {
+      status: error.response.status,
+      body: errorBody(
+        upstreamError?.message || error.message,
+        upstreamError?.type || 'api_error',
+        upstreamError?.code || error.response.status
+      )
+    };
+  }
+
+  if (CONNECTION_ERRORS[error.code]) {
+    logger.warn('provider connection error', { error });
+    return {
+      status: CONNECTION_ERRORS[error.code],
+      body: errorBody('Provider service is unavailable', 'connection_error', error.code, error.message)
+    };
+  }
+
+  logger.error('unhandled error', { error });
+  return {
+    status: 500,
+    body: errorBody(error.message || 'An error occurred.', 'internal_error', 500)
+  };
+}
+
+// 发送错误响应，已进入 SSE 模式时以事件形式写出
+function sendError(res, error) {
+  const { status, body } = handleError(error);
+  annotate({ error: body.error.code });
+
+  const contentType = res.getHeader && res.getHeader('Content-Type');
+  if (res.headersSent || (contentType && String(contentType).startsWith('text/event-stream'))) {
+    try {
+      res.write(`data: ${JSON.stringify(body)}\n\n`);
+      res.write('data: [DONE]\n\n');
+    } catch (writeError) {
+      logger.error('error writing error response', { error: writeError });
+    }
+    res.end();
+    return;
+  }
+
+  res.status(status).json(body);
+}
+
+module.exports = {
+  ApiError,
+  errorBody,
+  handleError,
+  providerErrorKind,
+  sendError
+};
@@ -0,0 +1,230 @@
+// images.js
+
+const { ApiError } = require('./errors');
+const {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authorizeModel,
+  requireConfig,
+  moderationToggle
+} = require('./pipeline');
+const { rateLimit } = require('./ratelimit');
+const { withFailover, postForm } = require('./providers');
+const { enforceModeration, prepareImageModeration } = require('./moderation');
+const { multipartBody, toFormData } = require('./multipart');
+
+// OpenAI 图片模型支持的参数，未列出的模型只做基本格式校验
+const IMAGE_MODELS = {
+  'dall-e-2': {
+    operations: ['generations', 'edits', 'variations'],
+    sizes: ['256x256', '512x512', '1024x1024'],
+    maxN: 10,
+    qualities: ['standard'],
+    styles: null,
+    responseFormats: ['url', 'b64_json']
+  },
+  'dall-e-3': {
+    operations: ['generations'],
+    sizes: ['1024x1024', '1792x1024', '1024x1792'],
+    maxN: 1,
+    qualities: ['standard', 'hd'],
+    styles: ['vivid', 'natural'],
+    responseFormats: ['url', 'b64_json']
+  },
+  'gpt-image-1': {
+    operations: ['generations', 'edits'],
+    sizes: ['1024x1024', '1536x1024', '1024x1536', 'auto'],
+    maxN: 10,
+    qualities: ['low', 'medium', 'high', 'auto'],
+    styles: null,
+    // 始终返回 b64_json，不接受 response_format
+    responseFormats: null
+  }
+};
+
+// 未指定模型时与 OpenAI 一致默认使用 dall-e-2
+const DEFAULT_IMAGE_MODEL = 'dall-e-2';
+
+// 各操作转发给上游的参数
+const IMAGE_PARAMS = {
+  generations: ['prompt', 'model', 'n', 'size', 'quality', 'style', 'response_format', 'user',
+    'background', 'moderation', 'output_compression', 'output_format'],
+  edits: ['prompt', 'model', 'n', 'size', 'quality', 'response_format', 'user', 'background'],
+  variations: ['model', 'n', 'size', 'response_format', 'user']
+};
+
+function invalid(param, message) {
+  const error = new ApiError(400, message, 'invalid_request_error', `invalid_${param}`);
+  error.param = param;
+  return error;
+}
+
+// 按模型校验图片参数，operation 为 generations / edits / variations
+function validateImageParams(params, operation) {
+  const model = params.model || DEFAULT_IMAGE_MODEL;
+  if (typeof model !== 'string') {
+    throw invalid('model', 'model must be a string');
+  }
+
+  if (operation !== 'variations' && (!params.prompt || typeof params.prompt !== 'string')) {
+    throw invalid('prompt', 'prompt is required and must be a string');
+  }
+
+  const spec = IMAGE_MODELS[model];
+  if (spec && !spec.operations.includes(operation)) {
+    throw invalid('model', `${model} does not support image ${operation}`);
+  }
+
+  const { n, size, quality, style, response_format: format, user } = params;
+
+  if (n !== undefined && (!Number.isInteger(n) || n <= 0)) {
+    throw invalid('n', 'n must be a positive integer');
+  }
+  if (n !== undefined && spec && n > spec.maxN) {
+    throw invalid('n', `n must be at most ${spec.maxN} for ${model}`);
+  }
+
+  if (size !== undefined) {
+    const sizes = spec ? spec.sizes : null;
+    if (sizes ? !sizes.includes(size) : !(size === 'auto' || /^\d+x\d+$/.test(size))) {
+      throw invalid('size', sizes
+        ? `size must be one of ${sizes.map(item => `'${item}'`).join(', ')} for ${model}`
+        : "size must be in the form 'WIDTHxHEIGHT'");
+    }
+  }
+
+  if (quality !== undefined && (typeof quality !== 'string' || (spec && !spec.qualities.includes(quality)))) {
+    throw invalid('quality', spec
+      ? `quality must be one of ${spec.qualities.join(', ')} for ${model}`
+      : 'quality must be a string');
+  }
+
+  if (style !== undefined) {
+    if (spec && !spec.styles) {
+      throw invalid('style', `style is not supported for ${model}`);
+    }
+    if (typeof style !== 'string' || (spec && !spec.styles.includes(style))) {
+      throw invalid('style', spec ? `style must be one of ${spec.styles.join(', ')}` : 'style must be a string');
+    }
+  }
+
+  if (format !== undefined) {
+    if (spec && !spec.responseFormats) {
+      throw invalid('response_format', `response_format is not supported for ${model}`);
+    }
+    if (!['url', 'b64_json'].includes(format)) {
+      throw invalid('response_format', "response_format must be one of 'url', 'b64_json'");
+    }
+  }
+
+  if (user !== undefined && typeof user !== 'string') {
+    throw invalid('user', 'user must be a string');
+  }
+}
+
+// 只保留该操作支持的参数
+function pickImageParams(params, operation) {
+  const picked = {};
+  for (const name of IMAGE_PARAMS[operation]) {
+    if (params[name] !== undefined && params[name] !== null) {
+      picked[name] = params[name];
+    }
+  }
+  return picked;
+}
+
+function toDataUrl(file) {
+  return `data:${file.contentType};base64,${file.data.toString('base64')}`;
+}
+
+// multipart 字段均为字符串，转换数值类字段
+function formParams(fields) {
+  const params = {};
+  for (const [name, value] of Object.entries(fields)) {
+    params[name] = Array.isArray(value) ? value[0] : value;
+  }
+  if (params.n !== undefined) {
+    params.n = Number(params.n);
+  }
+  return params;
+}
+
+// 创建图片编辑 / 变体路由，图片与蒙版以 multipart 上传后转发给上游
+function createImageUploadRoute(operation) {
+  return pipeline(
+    cors('POST'),
+    allowMethods('POST'),
+    authenticate('images'),
+    multipartBody,
+    async (req, res, next) => {
+      const { fields, files } = req.form;
+      // gpt-image-1 的编辑接口支持以 image[] 上传多张图片
+      const images = [].concat(files.image || files['image[]'] || []);
+      if (images.length === 0 || images.some(image => image.data.length === 0)) {
+        throw invalid('image', 'image is required');
+      }
+      if (operation === 'variations' && images.length > 1) {
+        throw invalid('image', 'only one image is allowed');
+      }
+      if (files.mask && (operation !== 'edits' || Array.isArray(files.mask))) {
+        throw invalid('mask', 'mask must be a single file and is only supported for edits');
+      }
+
+      const params = formParams(fields);
+      validateImageParams(params, operation);
+
+      req.body = params;
+      req.images = images;
+      await next();
+    },
+    authorizeModel,
+    requireConfig('providers'),
+    rateLimit,
+    moderationToggle('IMAGES_MODERATION'),
+    async (req, res) => {
+      const { files } = req.form;
+      const params = pickImageParams(req.body, operation);
+
+      // 提示词与上传的图片一并送审；未配置视觉审核模型时只审核提示词
+      if (req.moderation) {
+        const urls = req.images.map(toDataUrl);
+        const vision = prepareImageModeration(urls, req.policy);
+        const parts = [];
+        if (params.prompt) {
+          parts.push({ type: 'text', text: params.prompt });
+        }
+        if (vision) {
+          parts.push(...urls.map(url => ({ type: 'image_url', image_url: { url } })));
+        }
+        if (parts.length > 0) {
+          await enforceModeration(req, [{ role: 'user', content: vision ? parts : params.prompt }], vision);
+        }
+      }
+
+      const uploads = { [files['image[]'] ? 'image[]' : 'image']: req.images };
+      if (files.mask) {
+        uploads.mask = files.mask;
+      }
+
+      const response = await withFailover(req, req.config.providers, req.body.model, (provider, upstreamModel) =>
+        postForm(
+          provider,
+          `/v1/images/${operation}`,
+          toFormData({ ...params, ...(upstreamModel ? { model: upstreamModel } : {}) }, uploads)
+        )
+      );
+
+      res.json(response.data);
+    }
+  );
+}
+
+module.exports = {
+  IMAGE_MODELS,
+  DEFAULT_IMAGE_MODEL,
+  validateImageParams,
+  pickImageParams,
+  createImageUploadRoute
+};
@@ -0,0 +1,132 @@
+// keys.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ENDPOINTS = ['chat', 'images', 'audio', 'models', 'moderations', 'embeddings'];
+
+// 读取客户端密钥注册表：AUTH_KEYS_FILE（JSON 文件）> AUTH_KEYS（JSON 字符串）> AUTH_KEY（单个密钥）
+function loadKeys(env = process.env) {
+  const errors = [];
+  let entries = null;
+
+  try {
+    if (env.AUTH_KEYS_FILE) {
+      entries = JSON.parse(fs.readFileSync(env.AUTH_KEYS_FILE, 'utf8'));
+    } else if (env.AUTH_KEYS) {
+      entries = JSON.parse(env.AUTH_KEYS);
+    }
+  } catch (error) {
+    errors.push(`Invalid key registry: ${error.message}`);
+    return { keys: [], errors };
+  }
+
+  if (entries === null) {
+    if (!env.AUTH_KEY) {
+      errors.push('Missing: AUTH_KEY');
+      return { keys: [], errors };
+    }
+    entries = [{ key: env.AUTH_KEY, name: 'default' }];
+  }
+
+  // 兼容 { "keys": [...] } 格式
+  if (entries && Array.isArray(entries.keys)) {
+    entries = entries.keys;
+  }
+
+  if (!Array.isArray(entries)) {
+    errors.push('Invalid key registry: expected an array of keys');
+    return { keys: [], errors };
+  }
+
+  const keys = [];
+  entries.forEach((entry, index) => {
+    const label = entry && entry.name ? entry.name : `#${index}`;
+
+    if (!entry || typeof entry.key !== 'string' || !entry.key) {
+      errors.push(`Invalid key ${label}: key is required`);
+      return;
+    }
+
+    const endpoints = entry.endpoints || ENDPOINTS;
+    const unknown = Array.isArray(endpoints) ? endpoints.filter(endpoint => !ENDPOINTS.includes(endpoint)) : [];
+    if (!Array.isArray(endpoints) || unknown.length > 0) {
+      errors.push(`Invalid key ${label}: endpoints must be a subset of ${ENDPOINTS.join(', ')}`);
+      return;
+    }
+
+    const models = entry.models || ['*'];
+    if (!Array.isArray(models) || !models.every(model => typeof model === 'string')) {
+      errors.push(`Invalid key ${label}: models must be an array of strings`);
+      return;
+    }
+
+    let expiresAt = null;
+    if (entry.expiresAt) {
+      expiresAt = new Date(entry.expiresAt).getTime();
+      if (Number.isNaN(expiresAt)) {
+        errors.push(`Invalid key ${label}: expiresAt is not a valid date`);
+        return;
+      }
+    }
+
+    const rateLimit = entry.rateLimit || {};
+    if (typeof rateLimit !== 'object' || ['requestsPerMinute', 'tokensPerDay'].some(field =>
+      rateLimit[field] !== undefined && !(Number.isInteger(rateLimit[field]) && rateLimit[field] >= 0))) {
+      errors.push(`Invalid key ${label}: rateLimit values must be non-negative integers`);
+      return;
+    }
+
+    if (entry.policy !== undefined && typeof entry.policy !== 'string') {
+      errors.push(`Invalid key ${label}: policy must be a string`);
+      return;
+    }
+
+    if (entry.policies !== undefined && (!Array.isArray(entry.policies) || !entry.policies.every(policy => typeof policy === 'string'))) {
+      errors.push(`Invalid key ${label}: policies must be an array of strings`);
+      return;
+    }
+
+    keys.push({
+      name: entry.name || `key-${index}`,
+      digest: digest(entry.key),
+      models,
+      endpoints,
+      expiresAt,
+      bypassModeration: entry.bypassModeration === true,
+      rateLimit,
+      // 默认审核策略，以及可通过请求头切换的策略
+      policy: entry.policy || null,
+      policies: entry.policies || []
+    });
+  });
+
+  return { keys, errors };
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// 常量时间比较：对所有密钥逐一比较，不提前返回
+function findKey(keys, token) {
+  const tokenDigest = digest(token);
+  let found = null;
+  for (const key of keys) {
+    if (crypto.timingSafeEqual(key.digest, tokenDigest) && !found) {
+      found = key;
+    }
+  }
+  return found;
+}
+
+function isExpired(key, now = Date.now()) {
+  return key.expiresAt !== null && key.expiresAt <= now;
+}
+
+module.exports = {
+  ENDPOINTS,
+  loadKeys,
+  findKey,
+  isExpired
+};
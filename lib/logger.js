@@ -0,0 +1,206 @@
+// logger.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const REQUEST_ID_HEADER = 'x-request-id';
+
+// 始终脱敏的字段（不区分大小写）
+const SECRET_FIELDS = ['authorization', 'api_key', 'apikey', 'x-api-key', 'key', 'token', 'password', 'secret', 'cookie'];
+
+// 包含用户或模型生成内容的字段，LOG_REDACT_CONTENT=false 时原样记录
+const CONTENT_FIELDS = ['content', 'text', 'input', 'prompt', 'instructions', 'arguments', 'transcript'];
+
+// 字符串中出现的凭据
+const SECRET_PATTERNS = [
+  /Bearer\s+[^\s"',]+/gi,
+  /\bsk-[A-Za-z0-9_-]{8,}/g
+];
+
+const storage = new AsyncLocalStorage();
+
+// 日志配置：LOG_LEVEL 控制级别，LOG_REDACT_CONTENT 控制是否脱敏消息内容，LOG_REDACT_FIELDS 追加需脱敏的字段
+function loggerConfig(env = process.env) {
+  const level = String(env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    level: LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info,
+    redactContent: env.LOG_REDACT_CONTENT !== 'false',
+    secretFields: [
+      ...SECRET_FIELDS,
+      ...String(env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim().toLowerCase()).filter(Boolean)
+    ]
+  };
+}
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce((result, pattern) => result.replace(pattern, '[redacted]'), text);
+}
+
+// 递归脱敏日志字段
+function redact(value, config = loggerConfig(), field = null) {
+  if (field && config.secretFields.includes(field.toLowerCase())) {
+    return value === undefined || value === null ? value : '[redacted]';
+  }
+
+  if (typeof value === 'string') {
+    if (config.redactContent && field && CONTENT_FIELDS.includes(field.toLowerCase())) {
+      return `[${value.length} chars]`;
+    }
+    return redactString(value);
+  }
+
+  if (Array.isArray(value)) {
+    // 数组元素沿用父字段名，使 content 数组中的文本同样被脱敏
+    return value.map(item => redact(item, config, typeof item === 'string' ? field : null));
+  }
+
+  if (value instanceof Error) {
+    return { message: redactString(value.message), code: value.code };
+  }
+
+  if (value && typeof value === 'object') {
+    // 图片数据不写入日志
+    if (value.type === 'image_url') {
+      return { type: 'image_url', image_url: '[image]' };
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, config, key)]));
+  }
+
+  return value;
+}
+
+function write(level, message, fields = {}) {
+  const config = loggerConfig();
+  if (LEVELS[level] < config.level) {
+    return;
+  }
+
+  const context = storage.getStore();
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    msg: message,
+    ...(context ? { request_id: context.id } : {}),
+    ...redact(fields, config)
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// 沿用客户端传入的 x-request-id，格式不合法时重新生成
+function resolveRequestId(req) {
+  const header = req.headers && req.headers[REQUEST_ID_HEADER];
+  if (typeof header === 'string' && /^[\w.:-]{1,128}$/.test(header)) {
+    return header;
+  }
+  return crypto.randomUUID();
+}
+
+// 为请求建立日志上下文，响应结束时输出一行请求摘要
+function runWithRequestContext(req, res, fn) {
+  const context = {
+    id: resolveRequestId(req),
+    start: Date.now(),
+    timings: {},
+    fields: {}
+  };
+  req.id = context.id;
+  res.setHeader('X-Request-Id', context.id);
+
+  let logged = false;
+  function logRequest() {
+    if (logged) {
+      return;
+    }
+    logged = true;
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+    write('info', 'request', {
+      request_id: context.id,
+      client: req.client ? req.client.name : null,
+      method: req.method,
+      route: String(req.url || '').split('?')[0],
+      model: body.model || (req.form && req.form.fields.model) || null,
+      provider: req.provider || null,
+      status: res.statusCode,
+      latency_ms: Date.now() - context.start,
+      moderation_ms: context.timings.moderation || 0,
+      generation_ms: context.timings.generation || 0,
+      ...context.fields
+    });
+  }
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+
+  return storage.run(context, fn);
+}
+
+function currentRequestId() {
+  const context = storage.getStore();
+  return context ? context.id : null;
+}
+
+// 向当前请求的摘要日志追加字段（审核结论、token 用量等）
+function annotate(fields) {
+  const context = storage.getStore();
+  if (context) {
+    Object.assign(context.fields, fields);
+  }
+}
+
+// 累计当前请求在某一阶段的耗时
+function addTiming(name, ms) {
+  const context = storage.getStore();
+  if (context) {
+    context.timings[name] = (context.timings[name] || 0) + ms;
+  }
+}
+
+// 计时执行异步操作
+async function timed(name, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    addTiming(name, Date.now() - start);
+  }
+}
+
+// 上游请求携带的关联 ID 请求头
+function requestIdHeaders() {
+  const id = currentRequestId();
+  return id ? { 'X-Request-Id': id } : {};
+}
+
+module.exports = {
+  LEVELS,
+  REQUEST_ID_HEADER,
+  logger,
+  redact,
+  loggerConfig,
+  runWithRequestContext,
+  currentRequestId,
+  annotate,
+  addTiming,
+  timed,
+  requestIdHeaders
+};
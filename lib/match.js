@@ -0,0 +1,34 @@
+// match.js
+
+const cache = new Map();
+
+// 将 glob 模式（支持 * 和 ?）转换为正则
+function toRegExp(pattern) {
+  if (!cache.has(pattern)) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    cache.set(pattern, new RegExp(`^${source}$`));
+  }
+  return cache.get(pattern);
+}
+
+function matchesPattern(pattern, value) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (!pattern.includes('*') && !pattern.includes('?')) {
+    return pattern === value;
+  }
+  return toRegExp(pattern).test(value);
+}
+
+function matchesAny(patterns, value) {
+  return patterns.some(pattern => matchesPattern(pattern, value));
+}
+
+module.exports = {
+  matchesPattern,
+  matchesAny
+};
@@ -0,0 +1,210 @@
+// messages.js：chat.completions 消息结构校验与审核文本提取
+
+const { ApiError } = require('./errors');
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 各角色允许的内容片段类型
+const PART_TYPES = {
+  system: ['text'],
+  developer: ['text'],
+  user: ['text', 'image_url', 'input_audio', 'file'],
+  assistant: ['text', 'refusal'],
+  tool: ['text']
+};
+
+const AUDIO_FORMATS = ['wav', 'mp3'];
+
+// 图片地址须为 data:image base64 或以图片扩展名结尾的 http(s) 地址
+function validImageUrl(url) {
+  if (url.startsWith('data:image/') && url.includes(';base64,')) {
+    return true;
+  }
+  return /^https?:\/\/.+/.test(url) && /\.(jpg|jpeg|png|gif|webp)$/i.test(url);
+}
+
+// 校验器返回错误描述，通过时返回 null
+function validatePart(part, allowed) {
+  if (!isObject(part)) return 'must be an object';
+  if (!allowed.includes(part.type)) {
+    return `type must be one of ${allowed.map(type => `'${type}'`).join(', ')}`;
+  }
+  switch (part.type) {
+    case 'text':
+      return typeof part.text === 'string' ? null : 'text must be a string';
+    case 'refusal':
+      return typeof part.refusal === 'string' ? null : 'refusal must be a string';
+    case 'image_url': {
+      // 兼容字符串形式的 image_url
+      const url = typeof part.image_url === 'string' ? part.image_url : isObject(part.image_url) && part.image_url.url;
+      if (typeof url !== 'string' || !validImageUrl(url)) {
+        return 'image_url must be an image URL or a base64 data URL';
+      }
+      return null;
+    }
+    case 'input_audio':
+      if (!isObject(part.input_audio) || typeof part.input_audio.data !== 'string') {
+        return 'input_audio.data must be a base64 string';
+      }
+      return AUDIO_FORMATS.includes(part.input_audio.format) ? null : "input_audio.format must be 'wav' or 'mp3'";
+    case 'file':
+      if (!isObject(part.file) || (typeof part.file.file_data !== 'string' && typeof part.file.file_id !== 'string')) {
+        return 'file must provide file_data or file_id';
+      }
+      return part.file.filename === undefined || typeof part.file.filename === 'string' ? null : 'file.filename must be a string';
+    default:
+      return null;
+  }
+}
+
+function validateToolCall(call) {
+  if (!isObject(call) || typeof call.id !== 'string') return 'must have a string id';
+  if (call.type !== 'function') return "type must be 'function'";
+  if (!isObject(call.function) || typeof call.function.name !== 'string') return 'function.name must be a string';
+  return typeof call.function.arguments === 'string' ? null : 'function.arguments must be a JSON string';
+}
+
+// 校验单条消息，返回 [字段, 错误描述]，通过时返回 null
+function checkMessage(message) {
+  if (!isObject(message)) return ['', 'must be an object'];
+  if (typeof message.role !== 'string') return ['role', 'is required'];
+
+  // 已废弃的 function 角色：name 必填，content 可为 null
+  if (message.role === 'function') {
+    if (typeof message.name !== 'string') return ['name', 'is required for function messages'];
+    if (message.content !== null && typeof message.content !== 'string') return ['content', 'must be a string or null'];
+    return null;
+  }
+
+  const allowed = PART_TYPES[message.role];
+  if (!allowed) {
+    return ['role', `must be one of ${[...Object.keys(PART_TYPES), 'function'].map(role => `'${role}'`).join(', ')}`];
+  }
+  if (message.name !== undefined && typeof message.name !== 'string') return ['name', 'must be a string'];
+
+  if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+    return ['tool_call_id', 'is required for tool messages'];
+  }
+
+  if (message.role === 'assistant') {
+    if (message.tool_calls !== undefined) {
+      if (!Array.isArray(message.tool_calls)) return ['tool_calls', 'must be an array'];
+      for (const [index, call] of message.tool_calls.entries()) {
+        const error = validateToolCall(call);
+        if (error) return [`tool_calls[${index}]`, error];
+      }
+    }
+    if (message.refusal !== undefined && message.refusal !== null && typeof message.refusal !== 'string') {
+      return ['refusal', 'must be a string or null'];
+    }
+    // 带 tool_calls、function_call、refusal 或 audio 时 content 可省略
+    const hasOutput = (Array.isArray(message.tool_calls) && message.tool_calls.length > 0) ||
+      isObject(message.function_call) || typeof message.refusal === 'string' || isObject(message.audio);
+    if ((message.content === undefined || message.content === null) && hasOutput) {
+      return null;
+    }
+  }
+
+  if (typeof message.content === 'string') {
+    // 用户与系统消息不允许为空
+    return message.content || ['assistant', 'tool'].includes(message.role) ? null : ['content', 'must not be empty'];
+  }
+  if (!Array.isArray(message.content)) return ['content', 'must be a string or an array of content parts'];
+  if (message.content.length === 0) return ['content', 'must not be empty'];
+  for (const [index, part] of message.content.entries()) {
+    const error = validatePart(part, allowed);
+    if (error) return [`content[${index}]`, error];
+  }
+  return null;
+}
+
+// 校验单条消息是否符合 OpenAI 消息结构
+function validateMessage(message) {
+  return checkMessage(message) === null;
+}
+
+// 校验全部消息，第一处错误抛出 400 并在 param 中指出字段
+function validateMessages(messages) {
+  messages.forEach((message, index) => {
+    const problem = checkMessage(message);
+    if (!problem) {
+      return;
+    }
+    const [field, description] = problem;
+    const param = field ? `messages[${index}].${field}` : `messages[${index}]`;
+    const error = new ApiError(
+      400,
+      `Invalid '${param}': ${description}`,
+      'invalid_request_error',
+      'invalid_message_format',
+      'Each message must have a valid role and content'
+    );
+    error.param = param;
+    throw error;
+  });
+}
+
+// 字符串内容若为 JSON 则格式化，便于审核模型阅读
+function formatText(text) {
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+      return text;
+    }
+  }
+  return text;
+}
+
+// 提取消息中需要审核的文本：正文、拒答、工具调用参数，以及工具返回的结果
+function messageText(message) {
+  const texts = [];
+  if (typeof message.content === 'string') {
+    texts.push(formatText(message.content));
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part && part.type === 'text' && typeof part.text === 'string') {
+        texts.push(part.text);
+      } else if (part && part.type === 'refusal' && typeof part.refusal === 'string') {
+        texts.push(part.refusal);
+      }
+    }
+  }
+  if (typeof message.refusal === 'string') {
+    texts.push(message.refusal);
+  }
+
+  const calls = Array.isArray(message.tool_calls) ? message.tool_calls.map(call => call && call.function) : [];
+  if (message.function_call) {
+    calls.push(message.function_call);
+  }
+  for (const call of calls) {
+    if (call && typeof call.name === 'string') {
+      texts.push(`[tool call: ${call.name}]\n${formatText(typeof call.arguments === 'string' ? call.arguments : '')}`);
+    }
+  }
+
+  const text = texts.filter(Boolean).join('\n');
+  // 工具结果可能携带注入内容，标注来源后一并审核
+  if ((message.role === 'tool' || message.role === 'function') && text) {
+    return `[tool result${message.name ? `: ${message.name}` : ''}]\n${text}`;
+  }
+  return text;
+}
+
+// 审核时使用的角色：请求中的 system / developer 消息同样由调用方提供，与工具结果一样按用户输入审核
+function moderationRole(role) {
+  if (role === 'system' || role === 'developer' || role === 'tool' || role === 'function') {
+    return 'user';
+  }
+  return role;
+}
+
+module.exports = {
+  validateMessage,
+  validateMessages,
+  messageText,
+  moderationRole
+};
@@ -0,0 +1,188 @@
+// metrics.js
+
+// 进程内的 Prometheus 指标。Vercel 上每个函数实例各自计数，由 Prometheus 按实例抓取后聚合
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 45, 60];
+
+const registry = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function counter(name, help) {
+  const metric = { name, help, type: 'counter', series: new Map() };
+  registry.set(name, metric);
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const series = metric.series.get(key) || { labels: JSON.parse(key), value: 0 };
+      series.value += amount;
+      metric.series.set(key, series);
+    }
+  };
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const metric = { name, help, type: 'histogram', buckets, series: new Map() };
+  registry.set(name, metric);
+  return {
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const series = metric.series.get(key)
+        || { labels: JSON.parse(key), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          series.counts[index] += 1;
+        }
+      });
+      series.sum += value;
+      series.count += 1;
+      metric.series.set(key, series);
+    }
+  };
+}
+
+// 以 Prometheus 文本格式输出全部指标
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...series.labels, ['le', bound]])} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...series.labels, ['le', '+Inf']])} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// 清空已记录的数据（用于测试）
+function resetMetrics() {
+  for (const metric of registry.values()) {
+    metric.series.clear();
+  }
+}
+
+const requests = counter('gateway_requests_total', 'Requests handled, by route, model and status');
+const requestDuration = histogram('gateway_request_duration_seconds', 'End-to-end request latency');
+const moderationVerdicts = counter('gateway_moderation_verdicts_total', 'Moderation calls by verdict (passed, blocked, errored)');
+const prefilterDecisions = counter('gateway_prefilter_decisions_total', 'Local pre-filter decisions by action (block, pass, defer)');
+const moderationDuration = histogram('gateway_moderation_duration_seconds', 'Latency of moderation model calls');
+const upstreamDuration = histogram('gateway_upstream_duration_seconds', 'Latency of upstream provider requests until response headers');
+const streamTtfb = histogram('gateway_stream_ttfb_seconds', 'Time from request start to the first streamed event');
+const tokens = counter('gateway_tokens_total', 'Tokens reported by upstream usage, by direction (in, out)');
+const providerErrors = counter('gateway_provider_errors_total', 'Upstream provider failures, by provider, kind and code');
+
+// vercel.json 中的路由模式；路由标签只取这些模式，避免任意 URL 产生新的时间序列
+const ROUTE_PATTERNS = (require('../vercel.json').routes || []).map(route => ({
+  src: route.src,
+  pattern: new RegExp(`^${route.src}$`)
+}));
+
+function routeLabel(url) {
+  const pathname = String(url || '').split('?')[0];
+  const route = ROUTE_PATTERNS.find(({ pattern }) => pattern.test(pathname));
+  if (route) {
+    return route.src;
+  }
+  // 直接访问 /api/<name> 时只会命中已部署的函数
+  return /^\/api\/[\w-]+$/.test(pathname) ? pathname : 'other';
+}
+
+// 请求结束时按路由、模型与状态码计数
+// 模型标签只使用 authorizeModel 校验通过的模型（req.authorizedModel），其余带模型的请求记为 other
+function trackRequest(req, res) {
+  const start = Date.now();
+  let recorded = false;
+  function record() {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+    const requested = body.model || (req.form && req.form.fields.model);
+    const route = routeLabel(req.url);
+    requests.inc({
+      route,
+      model: req.authorizedModel || (requested ? 'other' : ''),
+      status: res.statusCode
+    });
+    requestDuration.observe({ route }, (Date.now() - start) / 1000);
+  }
+  res.on('finish', record);
+  res.on('close', record);
+}
+
+function observeModeration(verdict, seconds) {
+  moderationVerdicts.inc({ verdict });
+  if (seconds !== undefined) {
+    moderationDuration.observe({}, seconds);
+  }
+}
+
+function observePrefilter(action) {
+  prefilterDecisions.inc({ action });
+}
+
+function observeUpstream(provider, seconds) {
+  upstreamDuration.observe({ provider }, seconds);
+}
+
+// 以下按模型记录的指标只接受 authorizeModel 校验通过的模型（req.authorizedModel）
+function observeStreamTtfb(model, seconds) {
+  streamTtfb.observe({ model: model || '' }, seconds);
+}
+
+// 记录上游 usage 中的输入、输出 token
+function observeUsage(model, usage) {
+  if (!usage) {
+    return;
+  }
+  const input = usage.prompt_tokens || usage.input_tokens || 0;
+  const output = usage.completion_tokens || usage.output_tokens || 0;
+  if (input) {
+    tokens.inc({ model: model || '', direction: 'in' }, input);
+  }
+  if (output) {
+    tokens.inc({ model: model || '', direction: 'out' }, output);
+  }
+}
+
+function observeProviderError(provider, kind, code) {
+  providerErrors.inc({ provider, kind, code: code || '' });
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  counter,
+  histogram,
+  renderMetrics,
+  resetMetrics,
+  trackRequest,
+  observeModeration,
+  observePrefilter,
+  observeUpstream,
+  observeStreamTtfb,
+  observeUsage,
+  observeProviderError
+};
@@ -0,0 +1,540 @@
+// moderation.js
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { createStore } = require('./store');
+const { logger, annotate, timed, requestIdHeaders } = require('./logger');
+const { observeModeration, observePrefilter } = require('./metrics');
+const { recordDecision } = require('./audit');
+const { applyPrefilter } = require('./prefilter');
+
+// 与 OpenAI moderation API 一致的分类
+const CATEGORIES = [
+  'sexual',
+  'sexual/minors',
+  'harassment',
+  'harassment/threatening',
+  'hate',
+  'hate/threatening',
+  'illicit',
+  'illicit/violent',
+  'self-harm',
+  'self-harm/intent',
+  'self-harm/instructions',
+  'violence',
+  'violence/graphic'
+];
+
+// 只给出分数时，超过该阈值视为违规
+const SCORE_THRESHOLD = 0.5;
+
+const DEFAULT_SYSTEM_CONTENT = `
+# CONTEXT #
+你是一位资深的内容安全审核专家,拥有丰富的内容审核经验,需要严格按照平台内容安全规范进行专业审核。你需要以严谨的态度对所有内容进行安全合规把关,重点识别和判断以下违规内容:
+- 色情和暴露内容(包括但不限于裸露、性暗示等)
+- 恐怖暴力内容(包括但不限于血腥、暴力等)
+- 违法违规内容(包括但不限于毒品、赌博、诈骗等)
+- 其他可能违反法律法规的内容
+
+# OBJECTIVE #
+作为专业的内容安全审核员,你需要:
+1. 对提交的所有文本进行严格的安全合规审查
+2. 基于内容安全审核标准进行多维度违规识别
+3. 输出准确的分类审核结果及各分类的风险分数
+
+# STYLE #
+- 专业的审核视角
+- 严格的审核标准  
+- 规范的输出格式
+
+# TONE #
+- 严肃专业
+- 客观公正
+- 不带感情色彩
+
+# RESPONSE #
+必须按照以下JSON格式严格输出审核结果:
+{
+    "flagged": false,  // 若检测到任何违规内容则返回true,否则返回false
+    "categories": {  // 每个分类是否违规,布尔类型
+        "sexual": false,
+        "sexual/minors": false,
+        "harassment": false,
+        "harassment/threatening": false,
+        "hate": false,
+        "hate/threatening": false,
+        "illicit": false,
+        "illicit/violent": false,
+        "self-harm": false,
+        "self-harm/intent": false,
+        "self-harm/instructions": false,
+        "violence": false,
+        "violence/graphic": false
+    },
+    "category_scores": {  // 每个分类的风险分数,0到1之间的数字,键与categories相同
+        "sexual": 0.0
+    }
+}
+
+任何非JSON格式的额外说明都不允许输出。
+categories 与 category_scores 必须包含上述全部分类。
+`;
+
+// 构建审核消息
+function buildModerationMessages(textMessages, systemContent = DEFAULT_SYSTEM_CONTENT) {
+  return [
+    { role: "system", content: systemContent },
+    // 调用方的 system 消息已按 moderationRole 转为 user，这里的消息全部送审
+    ...textMessages,
+    { role: "user", content: systemContent } // 新增的用户消息
+  ];
+}
+
+// 将审核模型的输出规范化为 OpenAI moderation 结果，enforced 为需要拦截的分类
+function normalizeResult(raw, enforced = CATEGORIES) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid moderation response format');
+  }
+
+  const rawCategories = raw.categories && typeof raw.categories === 'object' ? raw.categories : {};
+  const rawScores = raw.category_scores && typeof raw.category_scores === 'object' ? raw.category_scores : {};
+  const categories = {};
+  const scores = {};
+
+  for (const category of CATEGORIES) {
+    const score = Number(rawScores[category]);
+    scores[category] = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0;
+    categories[category] = rawCategories[category] === true ||
+      (rawCategories[category] === undefined && scores[category] >= SCORE_THRESHOLD);
+  }
+
+  // 有分类信息时只按策略启用的分类判定，否则兼容旧格式 {"isViolation": boolean}
+  const flagged = Object.values(categories).some(Boolean)
+    ? enforced.some(category => categories[category])
+    : raw.flagged === true || raw.isViolation === true;
+
+  return {
+    flagged,
+    categories,
+    category_scores: scores
+  };
+}
+
+// 取出内容片段中的图片地址，兼容字符串与 { url } 两种格式
+function imageUrl(part) {
+  return typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+}
+
+// 收集消息中的全部图片地址
+function collectImages(messages) {
+  const images = [];
+  for (const message of messages) {
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part && part.type === 'image_url' && imageUrl(part)) {
+          images.push(imageUrl(part));
+        }
+      }
+    }
+  }
+  return images;
+}
+
+// base64 data URI 解码后的字节数
+function decodedSize(dataUrl) {
+  const data = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+// 校验图片数量与大小，返回是否需要使用视觉审核模型
+function prepareImageModeration(images, policy) {
+  if (images.length === 0) {
+    return false;
+  }
+
+  if (images.length > policy.maxImages) {
+    throw new ApiError(400, `Too many images: at most ${policy.maxImages} allowed`, 'invalid_request_error', 'too_many_images');
+  }
+
+  for (const url of images) {
+    if (url.startsWith('data:') && decodedSize(url) > policy.maxImageBytes) {
+      throw new ApiError(400, `Image exceeds the maximum size of ${policy.maxImageBytes} bytes`, 'invalid_request_error', 'image_too_large');
+    }
+  }
+
+  if (!policy.visionModel) {
+    if (policy.rejectUnmoderatedImages) {
+      throw new ApiError(400, 'Image inputs are not supported because no image moderation model is configured', 'invalid_request_error', 'image_moderation_unavailable');
+    }
+    logger.warn('images are not moderated: no vision model configured', { policy: policy.name });
+    return false;
+  }
+
+  return true;
+}
+
+// 审核模型无法读取的内容片段类型
+const UNMODERATED_PART_TYPES = ['input_audio', 'file'];
+
+// 检查消息中无法审核的音频与文件片段：策略要求时拒绝请求，否则放行并记录警告
+function checkUnmoderatedParts(messages, policy) {
+  const types = new Set();
+  for (const message of messages) {
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part && UNMODERATED_PART_TYPES.includes(part.type)) {
+          types.add(part.type);
+        }
+      }
+    }
+  }
+  if (types.size === 0) {
+    return;
+  }
+
+  if (policy.rejectUnmoderatedFiles) {
+    logger.info('rejected unmoderated content parts', { policy: policy.name, types: [...types] });
+    throw new ApiError(400, 'Audio and file inputs are not supported because they cannot be moderated', 'invalid_request_error', 'unmoderated_content');
+  }
+  logger.warn('audio and file inputs are not moderated', { policy: policy.name, types: [...types] });
+}
+
+// 调用第一个运营商的审核模型，返回分类审核结果；policy 决定提示词、模型及失败时的处理方式
+// vision 为 true 时消息中保留图片，并使用视觉审核模型
+async function moderate(textMessages, firstProvider, policy, vision = false) {
+  const firstProviderConfig = {
+    headers: {
+      'Authorization': `Bearer ${firstProvider.key}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...requestIdHeaders()
+    },
+    timeout: 45000
+  };
+
+  // 创建审核请求
+  const moderationRequest = {
+    messages: buildModerationMessages(textMessages, policy.prompt),
+    model: vision ? policy.visionModel : policy.model || firstProvider.model,
+    temperature: policy.temperature,
+    max_tokens: policy.maxTokens,
+    // 强制审核模型使用 json_object 格式输出
+    response_format: {
+      type: "json_object"
+    }
+  };
+
+  // 系统提示词较长且不含用户数据，只记录送审的消息
+  logger.debug('moderation request', {
+    policy: policy.name,
+    model: moderationRequest.model,
+    messages: textMessages
+  });
+
+  const start = Date.now();
+  try {
+    const checkResponse = await timed('moderation', () => axios.post(
+      firstProvider.url + '/v1/chat/completions',
+      moderationRequest,
+      firstProviderConfig
+    ));
+
+    let result;
+    try {
+      result = normalizeResult(JSON.parse(checkResponse.data.choices[0].message.content), policy.categories);
+    } catch (parseError) {
+      logger.error('moderation response parsing failed', { policy: policy.name, error: parseError });
+      throw new Error('Invalid moderation response format');
+    }
+    observeModeration(result.flagged ? 'blocked' : 'passed', (Date.now() - start) / 1000);
+    return result;
+  } catch (error) {
+    observeModeration('errored', (Date.now() - start) / 1000);
+    // fail-open：审核失败时放行并记录
+    if (policy.failMode === 'open') {
+      logger.warn('moderation failed, allowing request', { policy: policy.name, error });
+      annotate({ moderation_failed_open: true });
+      const result = {
+        flagged: false,
+        categories: Object.fromEntries(CATEGORIES.map(category => [category, false])),
+        category_scores: Object.fromEntries(CATEGORIES.map(category => [category, 0]))
+      };
+      // 放行结果不写入审核缓存
+      Object.defineProperty(result, 'failedOpen', { value: true });
+      return result;
+    }
+    throw error;
+  }
+}
+
+function flaggedCategories(result) {
+  return CATEGORIES.filter(category => result.categories[category]);
+}
+
+// 违规时返回的 403 错误，附带触发的分类
+function moderationError(result) {
+  const categories = flaggedCategories(result);
+  const message = categories.length > 0
+    ? `Content violation detected: ${categories.join(', ')}`
+    : 'Content violation detected';
+  return new ApiError(403, message, 'content_filter_error', 'content_violation', { categories });
+}
+
+let verdictStore = null;
+
+// 增量审核配置：MODERATION_CACHE=true 按内容哈希缓存每条消息的审核结果
+function incrementalConfig(env = process.env) {
+  return {
+    cache: env.MODERATION_CACHE === 'true',
+    ttlMs: (Number(env.MODERATION_CACHE_TTL) || 24 * 60 * 60) * 1000,
+    maxEntries: Number(env.MODERATION_CACHE_MAX_ENTRIES) || 10000,
+    // 只审核最近的 N 条消息，0 表示不限制
+    historyDepth: Number(env.MODERATION_HISTORY_DEPTH) || 0,
+    // 单次审核请求的最大字符数，超长消息按窗口切分
+    chunkChars: Number(env.MODERATION_CHUNK_CHARS) || 4000,
+    chunkOverlap: Number(env.MODERATION_CHUNK_OVERLAP) || 200
+  };
+}
+
+function getVerdictStore() {
+  if (!verdictStore) {
+    verdictStore = createStore(process.env, { maxEntries: incrementalConfig().maxEntries });
+  }
+  return verdictStore;
+}
+
+// 测试或自定义部署时替换审核缓存存储
+function setVerdictStore(store) {
+  verdictStore = store;
+}
+
+// 将超长文本切分为相互重叠的窗口，避免违规内容恰好落在边界上
+function splitContent(text, size, overlap) {
+  if (text.length <= size) {
+    return [text];
+  }
+  const step = Math.max(1, size - overlap);
+  const chunks = [];
+  for (let start = 0; start < text.length; start += step) {
+    chunks.push(text.slice(start, start + size));
+    if (start + size >= text.length) {
+      break;
+    }
+  }
+  return chunks;
+}
+
+function contentLength(content) {
+  return typeof content === 'string' ? content.length : JSON.stringify(content).length;
+}
+
+// 按字符预算把待审核消息分组，每组发起一次审核请求
+function groupUnits(units, size) {
+  const groups = [];
+  let current = [];
+  let length = 0;
+  for (const unit of units) {
+    const unitLength = contentLength(unit.content);
+    if (current.length > 0 && length + unitLength > size) {
+      groups.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(unit);
+    length += unitLength;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+  return groups;
+}
+
+// 缓存键包含策略的提示词、模型与审核分类，策略变更后旧结果自然失效
+function verdictKey(policy, vision, unit) {
+  const categories = [...(policy.categories || [])].sort();
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([policy.name, policy.prompt, policy.model, categories, vision, unit.role, unit.content]))
+    .digest('hex');
+  return `moderation:${hash}`;
+}
+
+// 合并多次审核结果：分类取或，分数取最大值
+function mergeResults(results) {
+  const merged = {
+    flagged: results.some(result => result.flagged),
+    categories: {},
+    category_scores: {}
+  };
+  for (const category of CATEGORIES) {
+    merged.categories[category] = results.some(result => result.categories[category]);
+    merged.category_scores[category] = Math.max(0, ...results.map(result => result.category_scores[category] || 0));
+  }
+  return merged;
+}
+
+// 审核消息：截取最近的历史、切分超长消息，已缓存的消息不再重复审核
+async function moderateMessages(req, messages, vision = false) {
+  const config = incrementalConfig();
+  const policy = req.policy;
+
+  let recent = messages;
+  if (config.historyDepth > 0) {
+    recent = recent.slice(-config.historyDepth);
+  }
+
+  const units = [];
+  for (const message of recent) {
+    if (typeof message.content === 'string') {
+      for (const chunk of splitContent(message.content, config.chunkChars, config.chunkOverlap)) {
+        units.push({ role: message.role, content: chunk });
+      }
+    } else if (Array.isArray(message.content)) {
+      // 多段内容中的超长文本片段同样切分，其余片段（短文本、图片）合为一条审核
+      const rest = [];
+      for (const part of message.content) {
+        if (part && part.type === 'text' && typeof part.text === 'string' && part.text.length > config.chunkChars) {
+          for (const chunk of splitContent(part.text, config.chunkChars, config.chunkOverlap)) {
+            units.push({ role: message.role, content: chunk });
+          }
+        } else {
+          rest.push(part);
+        }
+      }
+      if (rest.length > 0) {
+        units.push({ role: message.role, content: rest });
+      }
+    } else {
+      units.push({ role: message.role, content: message.content });
+    }
+  }
+
+  const results = [];
+  let pending = units;
+
+  if (config.cache) {
+    pending = [];
+    for (const unit of units) {
+      unit.key = verdictKey(policy, vision, unit);
+      let cached = null;
+      try {
+        cached = await getVerdictStore().get(unit.key);
+      } catch (error) {
+        logger.warn('moderation cache error', { error });
+      }
+      if (cached) {
+        results.push(JSON.parse(cached));
+      } else {
+        pending.push(unit);
+      }
+    }
+
+    annotate({ moderation_cached: results.length });
+
+    // 已缓存的违规结果直接拦截
+    const cachedFlag = results.find(result => result.flagged);
+    if (cachedFlag) {
+      return cachedFlag;
+    }
+  }
+
+  const groups = groupUnits(pending, config.chunkChars);
+  const fresh = await Promise.all(groups.map(group =>
+    moderate(group.map(({ role, content }) => ({ role, content })), req.config.firstProvider, policy, vision)
+  ));
+
+  if (config.cache) {
+    const entries = [];
+    fresh.forEach((result, index) => {
+      // 一组通过时组内每条消息都可视为通过；违规结果无法归属到单条消息，只在组内只有一条时缓存
+      if (result.failedOpen || (result.flagged && groups[index].length > 1)) {
+        return;
+      }
+      for (const unit of groups[index]) {
+        entries.push([unit.key, JSON.stringify(result)]);
+      }
+    });
+    try {
+      await Promise.all(entries.map(([key, value]) => getVerdictStore().set(key, value, config.ttlMs)));
+    } catch (error) {
+      logger.warn('moderation cache error', { error });
+    }
+  }
+
+  results.push(...fresh);
+  return mergeResults(results);
+}
+
+// 预过滤的判定结果，category 为命中规则的分类
+function prefilterResult(flagged, category) {
+  const result = { flagged, categories: {}, category_scores: {} };
+  for (const item of CATEGORIES) {
+    result.categories[item] = flagged && item === category;
+    result.category_scores[item] = result.categories[item] ? 1 : 0;
+  }
+  return result;
+}
+
+// 本地预过滤：命中拦截规则或全部放行时直接给出结果，否则只将剩余消息交给 LLM 审核
+async function prefilterAndModerate(req, messages, vision) {
+  const prefilter = req.config && req.config.prefilter;
+  if (!prefilter) {
+    return moderateMessages(req, messages, vision);
+  }
+
+  const outcome = applyPrefilter(prefilter, messages, req.policy.categories);
+  observePrefilter(outcome.action);
+  annotate({ prefilter: outcome.action });
+
+  if (outcome.action === 'block') {
+    const { rule, category } = outcome.match;
+    annotate({ prefilter_rule: rule });
+    logger.info('prefilter rule matched', { client: req.client.name, rule, category: category || null });
+    return prefilterResult(true, category);
+  }
+  if (outcome.action === 'pass') {
+    return prefilterResult(false);
+  }
+  return moderateMessages(req, outcome.messages, vision);
+}
+
+// 按请求的审核策略审核消息，违规时抛出 403
+async function enforceModeration(req, messages, vision = false) {
+  const result = await prefilterAndModerate(req, messages, vision);
+  recordDecision(req, { result, messages });
+  annotate({
+    policy: req.policy.name,
+    moderation: result.flagged ? 'flagged' : 'passed',
+    ...(result.flagged ? { categories: flaggedCategories(result) } : {})
+  });
+  if (result.flagged) {
+    logger.info('content violation detected', { client: req.client.name, categories: flaggedCategories(result) });
+    throw moderationError(result);
+  }
+  return result;
+}
+
+function moderationId() {
+  return `modr-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_SYSTEM_CONTENT,
+  buildModerationMessages,
+  normalizeResult,
+  collectImages,
+  prepareImageModeration,
+  checkUnmoderatedParts,
+  moderate,
+  flaggedCategories,
+  moderationError,
+  setVerdictStore,
+  splitContent,
+  mergeResults,
+  moderateMessages,
+  enforceModeration,
+  moderationId
+};
@@ -0,0 +1,146 @@
+// multipart.js
+
+const { ApiError } = require('./errors');
+
+// 上传大小上限，默认与 OpenAI 的 25MB 一致
+function uploadLimit(env = process.env) {
+  return Number(env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024;
+}
+
+function tooLarge(limit) {
+  return new ApiError(413, `Request body exceeds the maximum size of ${limit} bytes`, 'invalid_request_error', 'request_too_large');
+}
+
+// 读取原始请求体：平台已缓冲时直接使用，否则从请求流读取
+async function readRawBody(req, limit) {
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    const buffer = Buffer.from(req.body);
+    if (buffer.length > limit) {
+      throw tooLarge(limit);
+    }
+    return buffer;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw tooLarge(limit);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function headerParam(header, name) {
+  const match = header.match(new RegExp(`${name}="([^"]*)"`, 'i')) || header.match(new RegExp(`${name}=([^;\\s]+)`, 'i'));
+  return match ? match[1] : undefined;
+}
+
+// 解析 multipart/form-data，返回 { fields, files }；同名字段合并为数组
+function parseMultipart(buffer, contentType) {
+  const boundary = headerParam(contentType || '', 'boundary');
+  if (!boundary) {
+    throw new ApiError(400, 'Missing multipart boundary', 'invalid_request_error', 'invalid_body');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const separator = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = {};
+
+  function add(target, name, value) {
+    if (target[name] === undefined) {
+      target[name] = value;
+    } else if (Array.isArray(target[name])) {
+      target[name].push(value);
+    } else {
+      target[name] = [target[name], value];
+    }
+  }
+
+  let position = buffer.indexOf(delimiter);
+  if (position === -1) {
+    throw new ApiError(400, 'Malformed multipart body', 'invalid_request_error', 'invalid_body');
+  }
+
+  while (true) {
+    position += delimiter.length;
+    // "--" 表示结束
+    if (buffer.slice(position, position + 2).toString() === '--') {
+      break;
+    }
+    position += 2;
+
+    const end = buffer.indexOf(separator, position);
+    if (end === -1) {
+      throw new ApiError(400, 'Malformed multipart body', 'invalid_request_error', 'invalid_body');
+    }
+
+    const part = buffer.slice(position, end);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const data = part.slice(headerEnd + 4);
+      const disposition = (headers.match(/content-disposition:([^\r\n]*)/i) || [])[1] || '';
+      const name = headerParam(disposition, 'name');
+      const filename = headerParam(disposition, 'filename');
+      const type = ((headers.match(/content-type:([^\r\n]*)/i) || [])[1] || '').trim();
+
+      if (name !== undefined) {
+        if (filename !== undefined) {
+          add(files, name, { filename, contentType: type || 'application/octet-stream', data });
+        } else {
+          add(fields, name, data.toString('utf8'));
+        }
+      }
+    }
+
+    position = end + 2;
+  }
+
+  return { fields, files };
+}
+
+function isMultipart(req) {
+  return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+}
+
+// 解析 multipart 请求体并挂载到 req.form
+async function multipartBody(req, res, next) {
+  if (!isMultipart(req)) {
+    throw new ApiError(400, 'Content-Type must be multipart/form-data', 'invalid_request_error', 'invalid_body');
+  }
+  const limit = uploadLimit();
+  const buffer = await readRawBody(req, limit);
+  req.form = parseMultipart(buffer, req.headers['content-type']);
+  await next();
+}
+
+// 将字段与文件重新编码为 FormData 以转发给上游
+function toFormData(fields, files) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item !== undefined && item !== null) {
+        form.append(name, String(item));
+      }
+    }
+  }
+  for (const [name, file] of Object.entries(files)) {
+    for (const item of Array.isArray(file) ? file : [file]) {
+      form.append(name, new Blob([item.data], { type: item.contentType }), item.filename);
+    }
+  }
+  return form;
+}
+
+module.exports = {
+  uploadLimit,
+  readRawBody,
+  parseMultipart,
+  isMultipart,
+  multipartBody,
+  toFormData
+};
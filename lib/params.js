@@ -0,0 +1,206 @@
+// params.js
+
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 校验器返回错误描述，通过时返回 null
+const string = value => typeof value === 'string' ? null : 'must be a string';
+const boolean = value => typeof value === 'boolean' ? null : 'must be a boolean';
+const object = value => isObject(value) ? null : 'must be an object';
+const array = value => Array.isArray(value) ? null : 'must be an array';
+
+function number(min, max) {
+  return value => {
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+    if (value < min || value > max) return `must be between ${min} and ${max}`;
+    return null;
+  };
+}
+
+function integer(min = -Infinity, max = Infinity) {
+  return value => {
+    if (!Number.isInteger(value)) return 'must be an integer';
+    if (value < min) return `must be at least ${min}`;
+    if (value > max) return `must be at most ${max}`;
+    return null;
+  };
+}
+
+function oneOf(...values) {
+  return value => values.includes(value) ? null : `must be one of ${values.map(v => `'${v}'`).join(', ')}`;
+}
+
+function stop(value) {
+  if (typeof value === 'string') return null;
+  if (Array.isArray(value) && value.length <= 4 && value.every(item => typeof item === 'string')) return null;
+  return 'must be a string or an array of up to 4 strings';
+}
+
+function logitBias(value) {
+  if (!isObject(value)) return 'must be an object';
+  const valid = Object.values(value).every(bias => typeof bias === 'number' && bias >= -100 && bias <= 100);
+  return valid ? null : 'values must be numbers between -100 and 100';
+}
+
+function responseFormat(value) {
+  if (!isObject(value)) return 'must be an object';
+  if (!['text', 'json_object', 'json_schema'].includes(value.type)) {
+    return "type must be one of 'text', 'json_object', 'json_schema'";
+  }
+  if (value.type === 'json_schema' && (!isObject(value.json_schema) || typeof value.json_schema.name !== 'string')) {
+    return 'json_schema must be an object with a name';
+  }
+  return null;
+}
+
+function tools(value) {
+  if (!Array.isArray(value)) return 'must be an array';
+  const valid = value.every(tool => isObject(tool) && (tool.type !== 'function' ||
+    (isObject(tool.function) && typeof tool.function.name === 'string')));
+  return valid ? null : 'each function tool must have a function.name';
+}
+
+function toolChoice(value) {
+  if (typeof value === 'string') return oneOf('none', 'auto', 'required')(value);
+  if (isObject(value) && typeof value.type === 'string') return null;
+  return "must be 'none', 'auto', 'required' or an object";
+}
+
+function functionCall(value) {
+  if (typeof value === 'string' || (isObject(value) && typeof value.name === 'string')) return null;
+  return "must be 'none', 'auto' or an object with a name";
+}
+
+function streamOptions(value) {
+  if (!isObject(value)) return 'must be an object';
+  if (value.include_usage !== undefined && typeof value.include_usage !== 'boolean') {
+    return 'include_usage must be a boolean';
+  }
+  return null;
+}
+
+// OpenAI chat completions 请求参数（model 与 messages 单独校验）
+const CHAT_PARAMS = {
+  stream: boolean,
+  stream_options: streamOptions,
+  temperature: number(0, 2),
+  top_p: number(0, 1),
+  n: integer(1, 128),
+  stop,
+  max_tokens: integer(1),
+  max_completion_tokens: integer(1),
+  presence_penalty: number(-2, 2),
+  frequency_penalty: number(-2, 2),
+  logit_bias: logitBias,
+  logprobs: boolean,
+  top_logprobs: integer(0, 20),
+  user: string,
+  seed: integer(),
+  response_format: responseFormat,
+  tools,
+  tool_choice: toolChoice,
+  parallel_tool_calls: boolean,
+  functions: array,
+  function_call: functionCall,
+  service_tier: string,
+  store: boolean,
+  metadata: object,
+  modalities: array,
+  audio: object,
+  prediction: object,
+  reasoning_effort: oneOf('minimal', 'low', 'medium', 'high'),
+  web_search_options: object
+};
+
+function invalidParam(param, message) {
+  const error = new ApiError(400, `Invalid '${param}': ${message}`, 'invalid_request_error', `invalid_${param}`);
+  error.param = param;
+  return error;
+}
+
+// 校验已知参数，未知参数原样保留以兼容上游的扩展字段
+function validateChatParams(body) {
+  for (const [param, validate] of Object.entries(CHAT_PARAMS)) {
+    const value = body[param];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const message = validate(value);
+    if (message) {
+      throw invalidParam(param, message);
+    }
+  }
+
+  if (body.stream_options && !body.stream) {
+    throw invalidParam('stream_options', 'only allowed when stream is true');
+  }
+
+  if (body.top_logprobs !== undefined && body.top_logprobs !== null && !body.logprobs) {
+    throw invalidParam('top_logprobs', 'requires logprobs to be true');
+  }
+}
+
+// 运营方配置：CHAT_PARAM_DENYLIST（逗号分隔，转发前移除）与 CHAT_PARAM_OVERRIDES（JSON，强制覆盖）
+function loadParamPolicy(env = process.env) {
+  const denylist = (env.CHAT_PARAM_DENYLIST || '')
+    .split(',')
+    .map(param => param.trim())
+    .filter(Boolean);
+
+  let overrides = {};
+  if (env.CHAT_PARAM_OVERRIDES) {
+    try {
+      overrides = JSON.parse(env.CHAT_PARAM_OVERRIDES);
+    } catch (error) {
+      logger.error('invalid CHAT_PARAM_OVERRIDES', { error });
+    }
+    if (!isObject(overrides)) {
+      overrides = {};
+    }
+  }
+
+  return { denylist, overrides };
+}
+
+// model、messages 和 stream 由网关控制，不受运营方策略影响
+const PROTECTED_PARAMS = ['model', 'messages', 'stream'];
+
+// 构造转发给上游的请求体
+function buildChatRequest(body, policy = loadParamPolicy()) {
+  const request = { ...body, stream: body.stream || false };
+
+  for (const param of policy.denylist) {
+    if (!PROTECTED_PARAMS.includes(param)) {
+      delete request[param];
+    }
+  }
+
+  for (const [param, value] of Object.entries(policy.overrides)) {
+    if (PROTECTED_PARAMS.includes(param)) {
+      continue;
+    }
+    // 覆盖值为 null 时移除该参数
+    if (value === null) {
+      delete request[param];
+    } else {
+      request[param] = value;
+    }
+  }
+
+  if (!request.stream) {
+    delete request.stream_options;
+  }
+
+  return request;
+}
+
+module.exports = {
+  CHAT_PARAMS,
+  validateChatParams,
+  loadParamPolicy,
+  buildChatRequest
+};
@@ -0,0 +1,208 @@
+// pipeline.js
+
+const crypto = require('crypto');
+const { ApiError, sendError } = require('./errors');
+const { getConfig } = require('./config');
+const { findKey, isExpired } = require('./keys');
+const { matchesAny } = require('./match');
+const { selectPolicy } = require('./policies');
+const { logger, runWithRequestContext } = require('./logger');
+const { trackRequest } = require('./metrics');
+
+// 启动时校验一次配置
+getConfig();
+
+// 依次执行中间件，任一环节抛出的错误统一转换为 OpenAI 风格的错误响应
+// 每个请求在独立的日志上下文中执行，响应结束时输出一行请求摘要
+function pipeline(...middlewares) {
+  return (req, res) => runWithRequestContext(req, res, async () => {
+    trackRequest(req, res);
+    let index = -1;
+
+    async function dispatch(i) {
+      if (i <= index) {
+        throw new Error('next() called multiple times');
+      }
+      index = i;
+      const middleware = middlewares[i];
+      if (!middleware) {
+        return;
+      }
+      await middleware(req, res, () => dispatch(i + 1));
+    }
+
+    try {
+      await dispatch(0);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        logger.error('request handler error', { client: req.client ? req.client.name : null, error });
+      }
+      sendError(res, error);
+    }
+  });
+}
+
+// CORS 头与 OPTIONS 预检
+function cors(...methods) {
+  const allowMethods = [...methods, 'OPTIONS'].join(', ');
+  return async (req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', allowMethods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key, Anthropic-Version, X-Moderation-Policy, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+    await next();
+  };
+}
+
+function allowMethods(...methods) {
+  return async (req, res, next) => {
+    if (!methods.includes(req.method)) {
+      throw new ApiError(405, 'Method not allowed', 'invalid_request_error', 405);
+    }
+    await next();
+  };
+}
+
+// 校验 Bearer 密钥及其可访问的端点，并将客户端信息挂载到 req.client
+function authenticate(endpoint) {
+  return async (req, res, next) => {
+    const config = getConfig();
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    const authErrors = config.errors.filter(error => error.section === 'auth');
+    if (authErrors.length > 0) {
+      throw new ApiError(
+        500,
+        'Missing required environment variables',
+        'configuration_error',
+        'provider_not_configured',
+        authErrors.map(error => error.message).join(', ')
+      );
+    }
+
+    const key = token ? findKey(config.keys, token) : null;
+    if (!key) {
+      throw new ApiError(401, 'Invalid authentication key', 'invalid_request_error', 'invalid_auth_key');
+    }
+
+    if (isExpired(key)) {
+      throw new ApiError(401, 'Authentication key has expired', 'invalid_request_error', 'expired_auth_key');
+    }
+
+    if (!key.endpoints.includes(endpoint)) {
+      throw new ApiError(403, `Key is not allowed to access the ${endpoint} endpoint`, 'permission_error', 'endpoint_not_allowed');
+    }
+
+    req.client = {
+      name: key.name,
+      models: key.models,
+      bypassModeration: key.bypassModeration,
+      rateLimit: key.rateLimit,
+      policy: key.policy,
+      policies: key.policies
+    };
+    logger.debug('authenticated', { client: key.name, endpoint });
+
+    await next();
+  };
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// 运维端点使用独立的令牌（环境变量 variable），与客户端密钥分开；未配置时不开放
+function authenticateToken(variable, name) {
+  const label = name.charAt(0).toUpperCase() + name.slice(1);
+  return async (req, res, next) => {
+    const expected = process.env[variable];
+    if (!expected) {
+      throw new ApiError(404, `${label} endpoint is not enabled`, 'invalid_request_error', `${name}_disabled`);
+    }
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    if (!token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+      throw new ApiError(401, `Invalid ${name} token`, 'invalid_request_error', 'invalid_auth_key');
+    }
+
+    await next();
+  };
+}
+
+function isModelAllowed(client, model) {
+  return !client || matchesAny(client.models, model);
+}
+
+// 校验客户端是否可使用 req.body.model，通过后记入 req.authorizedModel 供指标使用
+async function authorizeModel(req, res, next) {
+  const model = req.body && req.body.model;
+  if (model && !isModelAllowed(req.client, model)) {
+    throw new ApiError(403, `Key is not allowed to use model ${model}`, 'permission_error', 'model_not_allowed');
+  }
+  if (typeof model === 'string') {
+    req.authorizedModel = model;
+  }
+  await next();
+}
+
+// 检查所需的运营商配置，并挂载到 req.config
+function requireConfig(...sections) {
+  return async (req, res, next) => {
+    const config = getConfig();
+    const errors = config.errors.filter(error => sections.includes(error.section));
+
+    if (errors.length > 0) {
+      throw new ApiError(
+        500,
+        'Missing required environment variables',
+        'configuration_error',
+        'provider_not_configured',
+        errors.map(error => error.message).join(', ')
+      );
+    }
+
+    req.config = config;
+    await next();
+  };
+}
+
+// 端点级审核开关：环境变量为 'false' 或密钥跳过审核时关闭，开启时需要审核配置并选择策略
+function moderationToggle(toggle) {
+  const check = requireConfig('firstProvider', 'moderation');
+  return async (req, res, next) => {
+    if (process.env[toggle] === 'false' || req.client.bypassModeration) {
+      req.moderation = false;
+      await next();
+      return;
+    }
+    req.moderation = true;
+    await check(req, res, () => selectPolicy(req, res, next));
+  };
+}
+
+async function jsonBody(req, res, next) {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    throw new ApiError(400, 'Invalid request body', 'invalid_request_error', 'invalid_body');
+  }
+  await next();
+}
+
+module.exports = {
+  pipeline,
+  cors,
+  allowMethods,
+  authenticate,
+  authenticateToken,
+  isModelAllowed,
+  authorizeModel,
+  requireConfig,
+  moderationToggle,
+  jsonBody
+};
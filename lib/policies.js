@@ -0,0 +1,171 @@
+// policies.js
+
+const fs = require('fs');
+const { ApiError } = require('./errors');
+const { CATEGORIES, DEFAULT_SYSTEM_CONTENT } = require('./moderation');
+
+const ENGLISH_SYSTEM_CONTENT = `
+# CONTEXT #
+You are a senior content safety reviewer. Strictly review all submitted content against the platform's content safety rules.
+Only the following categories are enforced: {{categories}}.
+
+# RESPONSE #
+Respond with JSON only, in exactly this format:
+{
+    "flagged": false,  // true if any enforced category is violated
+    "categories": { "<category>": false },  // one boolean per category listed above
+    "category_scores": { "<category>": 0.0 }  // one score between 0 and 1 per category listed above
+}
+
+Do not output anything other than the JSON object.
+`;
+
+// 各语言的内置提示词模板
+const BUILTIN_PROMPTS = {
+  zh: DEFAULT_SYSTEM_CONTENT,
+  en: ENGLISH_SYSTEM_CONTENT
+};
+
+const POLICY_HEADER = 'x-moderation-policy';
+
+// 默认策略保持原有的提示词与参数，图片审核相关的默认值来自环境变量
+function defaultPolicy(env = process.env) {
+  return {
+    name: 'default',
+    language: 'zh',
+    prompt: DEFAULT_SYSTEM_CONTENT,
+    model: null,
+    temperature: 0,
+    maxTokens: 500,
+    categories: CATEGORIES,
+    failMode: 'closed',
+    // 支持图片输入的审核模型，未配置时无法审核图片
+    visionModel: env.FIRST_PROVIDER_VISION_MODEL || null,
+    maxImages: Number(env.MODERATION_MAX_IMAGES) || 4,
+    maxImageBytes: Number(env.MODERATION_MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+    // 无视觉审核模型时是否拒绝带图片的请求
+    rejectUnmoderatedImages: env.MODERATION_REJECT_UNMODERATED_IMAGES === 'true',
+    // 音频与文件片段无法送审，默认拒绝；设为 'false' 时放行并记录警告
+    rejectUnmoderatedFiles: env.MODERATION_REJECT_UNMODERATED_FILES !== 'false'
+  };
+}
+
+// 渲染提示词模板中的 {{categories}} 和 {{language}}
+function renderPrompt(template, policy) {
+  return template
+    .replace(/\{\{\s*categories\s*\}\}/g, policy.categories.join(', '))
+    .replace(/\{\{\s*language\s*\}\}/g, policy.language);
+}
+
+// 读取审核策略：MODERATION_POLICIES_FILE（JSON 文件）> MODERATION_POLICIES（JSON 字符串）
+function loadPolicies(env = process.env) {
+  const errors = [];
+  const base = defaultPolicy(env);
+  const policies = new Map([['default', base]]);
+  let entries = null;
+
+  try {
+    if (env.MODERATION_POLICIES_FILE) {
+      entries = JSON.parse(fs.readFileSync(env.MODERATION_POLICIES_FILE, 'utf8'));
+    } else if (env.MODERATION_POLICIES) {
+      entries = JSON.parse(env.MODERATION_POLICIES);
+    }
+  } catch (error) {
+    errors.push(`Invalid moderation policies: ${error.message}`);
+    return { policies, errors };
+  }
+
+  if (entries === null) {
+    return { policies, errors };
+  }
+
+  if (entries && Array.isArray(entries.policies)) {
+    entries = entries.policies;
+  }
+
+  if (!Array.isArray(entries)) {
+    errors.push('Invalid moderation policies: expected an array of policies');
+    return { policies, errors };
+  }
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      errors.push(`Invalid policy #${index}: name is required`);
+      return;
+    }
+    const label = entry.name;
+
+    const language = entry.language || base.language;
+    if (!entry.prompt && !BUILTIN_PROMPTS[language]) {
+      errors.push(`Invalid policy ${label}: no built-in prompt for language ${language}`);
+      return;
+    }
+
+    const categories = entry.categories || CATEGORIES;
+    if (!Array.isArray(categories) || !categories.every(category => CATEGORIES.includes(category))) {
+      errors.push(`Invalid policy ${label}: categories must be a subset of ${CATEGORIES.join(', ')}`);
+      return;
+    }
+
+    const failMode = entry.failMode || base.failMode;
+    if (!['open', 'closed'].includes(failMode)) {
+      errors.push(`Invalid policy ${label}: failMode must be 'open' or 'closed'`);
+      return;
+    }
+
+    const policy = {
+      name: label,
+      language,
+      model: entry.model || null,
+      temperature: entry.temperature !== undefined ? Number(entry.temperature) : base.temperature,
+      maxTokens: Number(entry.maxTokens) || base.maxTokens,
+      categories,
+      failMode,
+      visionModel: entry.visionModel !== undefined ? entry.visionModel : base.visionModel,
+      maxImages: Number(entry.maxImages) || base.maxImages,
+      maxImageBytes: Number(entry.maxImageBytes) || base.maxImageBytes,
+      rejectUnmoderatedImages: entry.rejectUnmoderatedImages !== undefined
+        ? entry.rejectUnmoderatedImages === true
+        : base.rejectUnmoderatedImages,
+      rejectUnmoderatedFiles: entry.rejectUnmoderatedFiles !== undefined
+        ? entry.rejectUnmoderatedFiles === true
+        : base.rejectUnmoderatedFiles
+    };
+    policy.prompt = renderPrompt(entry.prompt || BUILTIN_PROMPTS[language], policy);
+    policies.set(label, policy);
+  });
+
+  return { policies, errors };
+}
+
+// 按请求头或密钥配置选择审核策略，挂载到 req.policy
+async function selectPolicy(req, res, next) {
+  const { policies } = req.config;
+  const client = req.client || {};
+  const requested = req.headers[POLICY_HEADER];
+  let name = client.policy || 'default';
+
+  if (requested) {
+    const allowed = client.policies || [];
+    if (!allowed.includes('*') && !allowed.includes(requested) && requested !== name) {
+      throw new ApiError(403, `Key is not allowed to use moderation policy ${requested}`, 'permission_error', 'policy_not_allowed');
+    }
+    name = requested;
+  }
+
+  const policy = policies.get(name);
+  if (!policy) {
+    throw new ApiError(400, `Unknown moderation policy ${name}`, 'invalid_request_error', 'invalid_moderation_policy');
+  }
+
+  req.policy = policy;
+  await next();
+}
+
+module.exports = {
+  POLICY_HEADER,
+  defaultPolicy,
+  renderPrompt,
+  loadPolicies,
+  selectPolicy
+};
@@ -0,0 +1,260 @@
+// prefilter.js：LLM 审核前的本地关键词 / 正则预过滤
+//
+// 规则来自 PREFILTER_RULES_FILE（JSON 文件）> PREFILTER_RULES（JSON 字符串），格式：
+// {
+//   "block": ["关键词", "/正则/i", { "keyword": "...", "category": "violence" }, { "file": "blocklist.txt", "category": "illicit" }],
+//   "allow": ["你好", "/^(hi|hello)[!.]?$/i"]
+// }
+// - 命中 block 规则的请求直接拦截；规则的 category 不在当前策略的审核范围内时不拦截
+// - 整条消息命中 allow 规则时该消息不再送审，全部消息都命中时直接放行
+// - 其余情况交给 LLM 审核
+// 匹配前统一转为半角、小写和简体；关键词匹配时另外忽略空白与标点，正则按归一化后的原文匹配。
+// file 指向的文本文件每行一条规则，# 开头为注释
+
+const fs = require('fs');
+const path = require('path');
+const { toSimplified } = require('./hanzi');
+
+// 全角转半角（NFKC）、小写、繁体转简体
+function normalize(text) {
+  return toSimplified(text.normalize('NFKC').toLowerCase());
+}
+
+// 去掉空白、标点与符号，防止用分隔符绕过关键词
+function compact(text) {
+  return text.replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+// Aho-Corasick 自动机，一次扫描匹配全部关键词
+class AhoCorasick {
+  constructor() {
+    this.root = { next: new Map(), fail: null, outputs: [] };
+    this.built = false;
+  }
+
+  add(keyword, value) {
+    let node = this.root;
+    for (const char of keyword) {
+      if (!node.next.has(char)) {
+        node.next.set(char, { next: new Map(), fail: null, outputs: [] });
+      }
+      node = node.next.get(char);
+    }
+    node.outputs.push(value);
+    this.built = false;
+  }
+
+  // 按层遍历构建失配指针，并合并后缀节点的输出
+  build() {
+    const queue = [];
+    for (const child of this.root.next.values()) {
+      child.fail = this.root;
+      queue.push(child);
+    }
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      for (const [char, child] of node.next) {
+        let fail = node.fail;
+        while (fail && !fail.next.has(char)) {
+          fail = fail.fail;
+        }
+        child.fail = fail ? fail.next.get(char) : this.root;
+        child.outputs = [...child.outputs, ...child.fail.outputs];
+        queue.push(child);
+      }
+    }
+    this.built = true;
+  }
+
+  // 返回第一个满足 accept 的匹配值
+  find(text, accept = () => true) {
+    if (!this.built) {
+      this.build();
+    }
+    let node = this.root;
+    for (const char of text) {
+      while (node !== this.root && !node.next.has(char)) {
+        node = node.fail;
+      }
+      node = node.next.get(char) || this.root;
+      const match = node.outputs.find(accept);
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+}
+
+// 解析单条规则；字符串形如 /pattern/flags 时按正则处理
+function parseRule(entry, defaults = {}) {
+  const rule = typeof entry === 'string' ? { ...defaults } : { ...defaults, ...entry };
+  if (typeof entry === 'string') {
+    const match = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (match) {
+      rule.regex = match[1];
+      rule.flags = match[2];
+    } else {
+      rule.keyword = entry;
+    }
+  }
+  return rule;
+}
+
+function readRuleFile(file, base) {
+  return fs.readFileSync(path.resolve(base, file), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// 将规则列表编译为关键词自动机与正则列表
+function compileRules(entries, kind, { base, categories }, errors) {
+  const compiled = { keywords: new AhoCorasick(), exact: new Map(), regexes: [] };
+
+  const rules = [];
+  for (const entry of entries) {
+    if (entry && typeof entry === 'object' && typeof entry.file === 'string') {
+      try {
+        rules.push(...readRuleFile(entry.file, base).map(line => parseRule(line, { category: entry.category })));
+      } catch (error) {
+        errors.push(`Invalid prefilter ${kind} file ${entry.file}: ${error.message}`);
+      }
+    } else {
+      rules.push(parseRule(entry));
+    }
+  }
+
+  for (const rule of rules) {
+    if (rule.category !== undefined && !categories.includes(rule.category)) {
+      errors.push(`Invalid prefilter ${kind} rule ${rule.keyword || rule.regex}: unknown category ${rule.category}`);
+      continue;
+    }
+
+    if (typeof rule.regex === 'string') {
+      try {
+        // 文本已归一化为小写简体，正则同样转为简体并忽略大小写；不转小写以免改变 \D、\W 等转义
+        const pattern = toSimplified(rule.regex.normalize('NFKC'));
+        // allow 规则须匹配整条消息，避免包含白名单词的任意内容被放行
+        const source = kind === 'allow' ? `^(?:${pattern})$` : pattern;
+        const flags = (rule.flags || '').replace(/[gyuvi]/g, '');
+        compiled.regexes.push({ rule: `/${rule.regex}/${rule.flags || ''}`, category: rule.category, regex: new RegExp(source, `${flags}iu`) });
+      } catch (error) {
+        errors.push(`Invalid prefilter ${kind} regex ${rule.regex}: ${error.message}`);
+      }
+      continue;
+    }
+
+    if (typeof rule.keyword !== 'string' || !compact(normalize(rule.keyword))) {
+      errors.push(`Invalid prefilter ${kind} rule: expected a keyword, a /regex/ or a { file }`);
+      continue;
+    }
+    const match = { rule: rule.keyword, category: rule.category };
+    const key = compact(normalize(rule.keyword));
+    if (kind === 'allow') {
+      compiled.exact.set(key, match);
+    } else {
+      compiled.keywords.add(key, match);
+    }
+  }
+
+  return compiled;
+}
+
+// 读取预过滤规则，未配置时返回 null；categories 为规则可使用的审核分类
+function loadPrefilter(env = process.env, categories = []) {
+  const errors = [];
+  let entries = null;
+  let base = process.cwd();
+
+  try {
+    if (env.PREFILTER_RULES_FILE) {
+      entries = JSON.parse(fs.readFileSync(env.PREFILTER_RULES_FILE, 'utf8'));
+      // 规则文件中的相对路径相对于该文件所在目录
+      base = path.dirname(path.resolve(env.PREFILTER_RULES_FILE));
+    } else if (env.PREFILTER_RULES) {
+      entries = JSON.parse(env.PREFILTER_RULES);
+    }
+  } catch (error) {
+    errors.push(`Invalid prefilter rules: ${error.message}`);
+    return { prefilter: null, errors };
+  }
+
+  if (entries === null) {
+    return { prefilter: null, errors };
+  }
+
+  const block = entries && entries.block !== undefined ? entries.block : [];
+  const allow = entries && entries.allow !== undefined ? entries.allow : [];
+  if (!Array.isArray(block) || !Array.isArray(allow)) {
+    errors.push('Invalid prefilter rules: expected { "block": [...], "allow": [...] }');
+    return { prefilter: null, errors };
+  }
+
+  return {
+    prefilter: {
+      block: compileRules(block, 'block', { base, categories }, errors),
+      allow: compileRules(allow, 'allow', { base, categories }, errors)
+    },
+    errors
+  };
+}
+
+// 提取消息文本；带图片等非文本内容的消息无法放行
+function textContent(message) {
+  if (typeof message.content === 'string') {
+    return { text: message.content, textOnly: true };
+  }
+  const parts = Array.isArray(message.content) ? message.content : [];
+  return {
+    text: parts.filter(part => part && part.type === 'text').map(part => part.text).join('\n'),
+    textOnly: parts.every(part => part && part.type === 'text')
+  };
+}
+
+function findBlock(block, text, enforced) {
+  const accept = match => match.category === undefined || enforced.includes(match.category);
+  const keyword = block.keywords.find(compact(text), accept);
+  if (keyword) {
+    return keyword;
+  }
+  return block.regexes.find(match => accept(match) && match.regex.test(text)) || null;
+}
+
+function findAllow(allow, text) {
+  return allow.exact.get(compact(text)) ||
+    allow.regexes.find(match => match.regex.test(text)) ||
+    null;
+}
+
+// 预过滤消息，categories 为当前策略审核的分类，返回：
+// - { action: 'block', match }：命中拦截规则
+// - { action: 'pass', messages }：全部消息命中放行规则
+// - { action: 'defer', messages }：messages 为仍需 LLM 审核的消息
+function applyPrefilter(prefilter, messages, categories) {
+  const remaining = [];
+
+  for (const message of messages) {
+    const { text, textOnly } = textContent(message);
+    const normalized = normalize(text);
+    const match = findBlock(prefilter.block, normalized, categories);
+    if (match) {
+      return { action: 'block', match };
+    }
+
+    if (textOnly && text && findAllow(prefilter.allow, normalized)) {
+      continue;
+    }
+    remaining.push(message);
+  }
+
+  return { action: remaining.length === 0 ? 'pass' : 'defer', messages: remaining };
+}
+
+module.exports = {
+  normalize,
+  compact,
+  AhoCorasick,
+  loadPrefilter,
+  applyPrefilter
+};
@@ -0,0 +1,251 @@
+// providers.js
+
+const axios = require('axios');
+const fs = require('fs');
+const { ApiError, providerErrorKind } = require('./errors');
+const { matchesPattern, matchesAny } = require('./match');
+const { logger, timed, requestIdHeaders } = require('./logger');
+const { observeUpstream, observeProviderError } = require('./metrics');
+
+// 读取上游运营商注册表：PROVIDERS_FILE（JSON 文件）> PROVIDERS（JSON 字符串）> SECOND_PROVIDER_URL/KEY
+function loadProviders(env = process.env) {
+  const errors = [];
+  let entries = null;
+
+  try {
+    if (env.PROVIDERS_FILE) {
+      entries = JSON.parse(fs.readFileSync(env.PROVIDERS_FILE, 'utf8'));
+    } else if (env.PROVIDERS) {
+      entries = JSON.parse(env.PROVIDERS);
+    }
+  } catch (error) {
+    errors.push(`Invalid provider registry: ${error.message}`);
+    return { providers: [], errors };
+  }
+
+  if (entries === null) {
+    if (!env.SECOND_PROVIDER_URL) errors.push('Missing: SECOND_PROVIDER_URL');
+    if (!env.SECOND_PROVIDER_KEY) errors.push('Missing: SECOND_PROVIDER_KEY');
+    if (errors.length > 0) {
+      return { providers: [], errors };
+    }
+    entries = [{ name: 'default', url: env.SECOND_PROVIDER_URL, key: env.SECOND_PROVIDER_KEY }];
+  }
+
+  if (entries && Array.isArray(entries.providers)) {
+    entries = entries.providers;
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    errors.push('Invalid provider registry: expected a non-empty array of providers');
+    return { providers: [], errors };
+  }
+
+  const providers = [];
+  entries.forEach((entry, index) => {
+    const label = entry && entry.name ? entry.name : `#${index}`;
+
+    if (!entry || typeof entry.url !== 'string' || !/^https?:\/\//.test(entry.url)) {
+      errors.push(`Invalid provider ${label}: url must start with http:// or https://`);
+      return;
+    }
+    if (typeof entry.key !== 'string' || !entry.key) {
+      errors.push(`Invalid provider ${label}: key is required`);
+      return;
+    }
+
+    const models = entry.models || ['*'];
+    if (!Array.isArray(models) || !models.every(model => typeof model === 'string')) {
+      errors.push(`Invalid provider ${label}: models must be an array of strings`);
+      return;
+    }
+
+    const rewrite = entry.rewrite || {};
+    if (typeof rewrite !== 'object' || Array.isArray(rewrite)) {
+      errors.push(`Invalid provider ${label}: rewrite must be an object`);
+      return;
+    }
+
+    providers.push({
+      name: entry.name || `provider-${index}`,
+      url: entry.url.replace(/\/+$/, ''),
+      key: entry.key,
+      models,
+      rewrite,
+      // 数值越小越优先
+      priority: Number(entry.priority) || 0,
+      timeout: Number(entry.timeout) || 60000,
+      order: index
+    });
+  });
+
+  providers.sort((a, b) => a.priority - b.priority || a.order - b.order);
+  return { providers, errors };
+}
+
+// 请求模型名改写为上游模型名，rewrite 的键支持 glob
+function upstreamModel(provider, model) {
+  if (!model) {
+    return model;
+  }
+  if (Object.prototype.hasOwnProperty.call(provider.rewrite, model)) {
+    return provider.rewrite[model];
+  }
+  for (const [pattern, target] of Object.entries(provider.rewrite)) {
+    if (matchesPattern(pattern, model)) {
+      return target;
+    }
+  }
+  return model;
+}
+
+// 按优先级返回可服务该模型的运营商，未指定模型时返回全部
+function resolveProviders(providers, model) {
+  if (!model) {
+    return providers;
+  }
+  const candidates = providers.filter(provider =>
+    matchesAny(provider.models, model) || Object.prototype.hasOwnProperty.call(provider.rewrite, model));
+  if (candidates.length === 0) {
+    throw new ApiError(404, `The model \`${model}\` does not exist`, 'invalid_request_error', 'model_not_found');
+  }
+  return candidates;
+}
+
+// 连接错误、超时和 5xx 可切换到下一个运营商重试
+function isRetryable(error) {
+  // 主动中止的请求不切换运营商
+  if (error instanceof ApiError || axios.isCancel(error)) {
+    return false;
+  }
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return Boolean(error.code || error.request);
+}
+
+// 依次尝试候选运营商，send(provider, model) 需返回 axios 请求
+async function withFailover(req, providers, model, send) {
+  const candidates = resolveProviders(providers, model);
+  let lastError = null;
+
+  for (const provider of candidates) {
+    try {
+      const start = Date.now();
+      const response = await timed('generation', () => send(provider, upstreamModel(provider, model)));
+      observeUpstream(provider.name, (Date.now() - start) / 1000);
+      req.provider = provider.name;
+      return response;
+    } catch (error) {
+      lastError = error;
+      if (!(error instanceof ApiError) && !axios.isCancel(error)) {
+        const { kind, code } = providerErrorKind(error);
+        observeProviderError(provider.name, kind, code);
+      }
+      if (!isRetryable(error)) {
+        throw error;
+      }
+      // 流式请求失败时响应体是未读取的流，切换前释放连接
+      const body = error.response && error.response.data;
+      if (body && typeof body.destroy === 'function') {
+        body.destroy();
+      }
+      logger.warn('provider failed, trying next', {
+        client: req.client ? req.client.name : null,
+        provider: provider.name,
+        status: error.response ? error.response.status : null,
+        error
+      });
+    }
+  }
+
+  throw lastError;
+}
+
+function providerHeaders(provider, headers = {}) {
+  return {
+    'Authorization': `Bearer ${provider.key}`,
+    'Content-Type': 'application/json',
+    'Accept': 'application/json',
+    ...requestIdHeaders(),
+    ...headers
+  };
+}
+
+// 以 JSON 格式向运营商发送 POST 请求
+function postJson(provider, path, body, options = {}) {
+  return axios.post(provider.url + path, body, {
+    timeout: provider.timeout,
+    ...options,
+    headers: providerHeaders(provider, options.headers)
+  });
+}
+
+// 以 multipart/form-data 格式向运营商发送 POST 请求，由 axios 生成 boundary
+function postForm(provider, path, form, options = {}) {
+  return axios.post(provider.url + path, form, {
+    timeout: provider.timeout,
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${provider.key}`,
+      ...requestIdHeaders(),
+      ...options.headers
+    }
+  });
+}
+
+// 汇总所有运营商的模型列表并去重，只保留各运营商可路由的模型
+async function listModels(providers) {
+  const results = await Promise.allSettled(providers.map(provider =>
+    axios.get(`${provider.url}/v1/models`, {
+      headers: providerHeaders(provider),
+      timeout: 30000
+    })
+  ));
+
+  const models = new Map();
+  let firstError = null;
+  results.forEach((result, index) => {
+    const provider = providers[index];
+    if (result.status === 'rejected') {
+      logger.warn('provider model list failed', { provider: provider.name, error: result.reason });
+      firstError = firstError || result.reason;
+      return;
+    }
+
+    const data = result.value.data && Array.isArray(result.value.data.data) ? result.value.data.data : [];
+    for (const model of data) {
+      if (model && model.id && matchesAny(provider.models, model.id) && !models.has(model.id)) {
+        models.set(model.id, model);
+      }
+    }
+
+    // rewrite 中的精确别名也作为可用模型返回
+    for (const alias of Object.keys(provider.rewrite)) {
+      if (!alias.includes('*') && !alias.includes('?') && !models.has(alias)) {
+        models.set(alias, { id: alias, object: 'model', created: 0, owned_by: provider.name });
+      }
+    }
+  });
+
+  if (models.size === 0 && firstError) {
+    throw firstError;
+  }
+
+  return {
+    object: 'list',
+    data: [...models.values()]
+  };
+}
+
+module.exports = {
+  loadProviders,
+  upstreamModel,
+  resolveProviders,
+  isRetryable,
+  withFailover,
+  providerHeaders,
+  postJson,
+  postForm,
+  listModels
+};
@@ -0,0 +1,190 @@
+// ratelimit.js
+
+const { ApiError } = require('./errors');
+const { createStore } = require('./store');
+const { createSseParser, parseEventData } = require('./sse');
+const { logger, annotate } = require('./logger');
+const { observeUsage } = require('./metrics');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// 测试或自定义部署时替换存储
+function setStore(customStore) {
+  store = customStore;
+}
+
+// 密钥自身的限制优先，其次为 RATE_LIMIT_RPM / RATE_LIMIT_TPD 默认值；0 表示不限制
+function resolveLimits(client, env = process.env) {
+  const own = (client && client.rateLimit) || {};
+  const pick = (value, fallback) => {
+    const number = Number(value !== undefined ? value : fallback);
+    return number > 0 ? number : 0;
+  };
+  return {
+    requestsPerMinute: pick(own.requestsPerMinute, env.RATE_LIMIT_RPM),
+    tokensPerDay: pick(own.tokensPerDay, env.RATE_LIMIT_TPD)
+  };
+}
+
+function rateLimitError(res, type, ttlMs) {
+  const retryAfter = Math.max(1, Math.ceil(ttlMs / 1000));
+  res.setHeader('retry-after', String(retryAfter));
+  return new ApiError(
+    429,
+    `Rate limit reached for ${type}. Please try again in ${retryAfter}s.`,
+    type,
+    'rate_limit_exceeded'
+  );
+}
+
+function tokenKey(client, now = Date.now()) {
+  return `ratelimit:${client.name}:tokens:${Math.floor(now / DAY_MS)}`;
+}
+
+// 检查每分钟请求数与每日 token 数，需在审核之前执行
+async function rateLimit(req, res, next) {
+  const client = req.client;
+  const limits = resolveLimits(client);
+  const now = Date.now();
+
+  try {
+    if (limits.requestsPerMinute) {
+      const windowStart = Math.floor(now / MINUTE_MS);
+      const { value, ttlMs } = await getStore().increment(
+        `ratelimit:${client.name}:requests:${windowStart}`,
+        1,
+        MINUTE_MS - (now % MINUTE_MS)
+      );
+      res.setHeader('x-ratelimit-limit-requests', String(limits.requestsPerMinute));
+      res.setHeader('x-ratelimit-remaining-requests', String(Math.max(0, limits.requestsPerMinute - value)));
+      res.setHeader('x-ratelimit-reset-requests', `${Math.ceil(ttlMs / 1000)}s`);
+      if (value > limits.requestsPerMinute) {
+        throw rateLimitError(res, 'requests', ttlMs);
+      }
+    }
+
+    if (limits.tokensPerDay) {
+      const used = Number(await getStore().get(tokenKey(client, now))) || 0;
+      const ttlMs = DAY_MS - (now % DAY_MS);
+      res.setHeader('x-ratelimit-limit-tokens', String(limits.tokensPerDay));
+      res.setHeader('x-ratelimit-remaining-tokens', String(Math.max(0, limits.tokensPerDay - used)));
+      res.setHeader('x-ratelimit-reset-tokens', `${Math.ceil(ttlMs / 1000)}s`);
+      if (used >= limits.tokensPerDay) {
+        throw rateLimitError(res, 'tokens', ttlMs);
+      }
+    }
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    // 存储不可用时放行，避免限流组件导致整个网关不可用
+    logger.warn('rate limit store error', { client: client.name, error });
+  }
+
+  await next();
+}
+
+// 记录上游返回的 token 用量
+async function recordUsage(req, tokens) {
+  const client = req.client;
+  if (tokens) {
+    annotate({ tokens: Math.ceil(tokens) });
+  }
+  if (!client || !tokens || !resolveLimits(client).tokensPerDay) {
+    return;
+  }
+  try {
+    await getStore().increment(tokenKey(client), Math.ceil(tokens), DAY_MS);
+  } catch (error) {
+    logger.warn('rate limit store error', { client: client.name, error });
+  }
+}
+
+function usageTokens(usage) {
+  if (!usage) {
+    return 0;
+  }
+  return usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+}
+
+// 粗略估算 token 数：中日韩字符按 1 个 token，其余按 4 个字符 1 个 token
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+function estimatePromptTokens(messages) {
+  return (messages || []).reduce((total, message) => {
+    const content = typeof message.content === 'string'
+      ? message.content
+      : JSON.stringify(message.content || '');
+    // 每条消息额外约 4 个 token 的格式开销
+    return total + estimateTokens(content) + 4;
+  }, 0);
+}
+
+// 监听流式响应：优先使用上游的 usage，否则按输出内容估算
+function trackStreamUsage(req, stream) {
+  let usage = null;
+  let output = '';
+
+  const parser = createSseParser(({ data }) => {
+    const chunk = parseEventData(data);
+    if (!chunk) {
+      return;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    for (const choice of chunk.choices || []) {
+      if (typeof choice.delta?.content === 'string') {
+        output += choice.delta.content;
+      }
+    }
+  });
+
+  let recorded = false;
+  function record() {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    observeUsage(req.authorizedModel, usage);
+    const tokens = usage
+      ? usageTokens(usage)
+      : estimatePromptTokens(req.body.messages) + estimateTokens(output);
+    recordUsage(req, tokens);
+  }
+
+  stream.on('data', chunk => parser.write(chunk));
+  stream.on('end', () => {
+    parser.end();
+    record();
+  });
+  stream.on('close', record);
+}
+
+module.exports = {
+  getStore,
+  setStore,
+  resolveLimits,
+  rateLimit,
+  recordUsage,
+  usageTokens,
+  estimateTokens,
+  estimatePromptTokens,
+  trackStreamUsage
+};
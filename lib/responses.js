@@ -0,0 +1,442 @@
+// responses.js：OpenAI Responses API 与 chat.completions 之间的转换
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { createChunkTranslator } = require('./sse');
+
+const MESSAGE_ROLES = ['user', 'assistant', 'system', 'developer'];
+
+function invalidParam(param, message) {
+  const error = new ApiError(400, message, 'invalid_request_error', `invalid_${param}`);
+  error.param = param;
+  return error;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// 校验 Responses API 请求；网关不保存响应，因此不支持 previous_response_id
+function validateResponseRequest(body) {
+  if (typeof body.model !== 'string' || !body.model) {
+    throw invalidParam('model', 'model is required and must be a string');
+  }
+  if (body.previous_response_id) {
+    throw invalidParam('previous_response_id', 'previous_response_id is not supported; send the full conversation in input');
+  }
+  if (body.background) {
+    throw invalidParam('background', 'background responses are not supported');
+  }
+  if (body.instructions !== undefined && body.instructions !== null && typeof body.instructions !== 'string') {
+    throw invalidParam('instructions', 'instructions must be a string');
+  }
+  if (body.max_output_tokens !== undefined && body.max_output_tokens !== null
+    && !(Number.isInteger(body.max_output_tokens) && body.max_output_tokens > 0)) {
+    throw invalidParam('max_output_tokens', 'max_output_tokens must be a positive integer');
+  }
+  if (body.tools !== undefined && (!Array.isArray(body.tools)
+    || !body.tools.every(tool => isObject(tool) && tool.type === 'function' && typeof tool.name === 'string'))) {
+    throw invalidParam('tools', 'only function tools with a name are supported');
+  }
+
+  if (typeof body.input === 'string') {
+    return;
+  }
+  if (!Array.isArray(body.input) || body.input.length === 0) {
+    throw invalidParam('input', 'input must be a string or a non-empty array of input items');
+  }
+
+  body.input.forEach((item, index) => {
+    if (!isObject(item)) {
+      throw invalidParam('input', `input[${index}] must be an object`);
+    }
+    const type = item.type || 'message';
+    if (type === 'function_call') {
+      if (typeof item.call_id !== 'string' || typeof item.name !== 'string') {
+        throw invalidParam('input', `input[${index}] function_call requires call_id and name`);
+      }
+      return;
+    }
+    if (type === 'function_call_output') {
+      if (typeof item.call_id !== 'string') {
+        throw invalidParam('input', `input[${index}] function_call_output requires call_id`);
+      }
+      return;
+    }
+    if (type === 'reasoning') {
+      return;
+    }
+    if (type !== 'message' || !MESSAGE_ROLES.includes(item.role)) {
+      throw invalidParam('input', `input[${index}] has unsupported type ${type}`);
+    }
+    if (typeof item.content === 'string') {
+      return;
+    }
+    if (!Array.isArray(item.content)) {
+      throw invalidParam('input', `input[${index}].content must be a string or an array of content parts`);
+    }
+    item.content.forEach((part, position) => {
+      const label = `input[${index}].content[${position}]`;
+      if (!isObject(part)) {
+        throw invalidParam('input', `${label} must be an object`);
+      }
+      if (['input_text', 'output_text'].includes(part.type)) {
+        if (typeof part.text !== 'string') {
+          throw invalidParam('input', `${label}.text must be a string`);
+        }
+        return;
+      }
+      if (part.type === 'input_image') {
+        if (typeof part.image_url !== 'string') {
+          throw invalidParam('input', `${label} must provide image_url; file_id is not supported`);
+        }
+        return;
+      }
+      throw invalidParam('input', `${label} has unsupported type ${part.type}`);
+    });
+  });
+}
+
+function convertContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  const parts = content.map(part => (part.type === 'input_image'
+    ? { type: 'image_url', image_url: { url: part.image_url, ...(part.detail ? { detail: part.detail } : {}) } }
+    : { type: 'text', text: part.text }));
+  // 纯文本合并为字符串
+  return parts.every(part => part.type === 'text')
+    ? parts.map(part => part.text).join('\n')
+    : parts;
+}
+
+// 将 input 项转换为 chat 消息；连续的 function_call 合并到同一条 assistant 消息
+function convertInput(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  const messages = [];
+  for (const item of input) {
+    const type = item.type || 'message';
+    if (type === 'function_call') {
+      const call = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } };
+      const last = messages[messages.length - 1];
+      if (last && last.role === 'assistant' && Array.isArray(last.tool_calls)) {
+        last.tool_calls.push(call);
+      } else {
+        messages.push({ role: 'assistant', content: '', tool_calls: [call] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      });
+    } else if (type === 'message') {
+      messages.push({
+        role: item.role,
+        content: convertContent(item.content)
+      });
+    }
+    // reasoning 项不转发
+  }
+  return messages;
+}
+
+function convertToolChoice(choice) {
+  if (isObject(choice) && choice.type === 'function') {
+    return { type: 'function', function: { name: choice.name } };
+  }
+  return choice;
+}
+
+function convertTextFormat(text) {
+  const format = text && text.format;
+  if (!format || format.type === 'text') {
+    return undefined;
+  }
+  if (format.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: format.name, schema: format.schema, strict: format.strict, description: format.description }
+    };
+  }
+  return { type: format.type };
+}
+
+// 将 Responses API 请求转换为 chat.completions 请求
+function toChatRequest(body) {
+  const messages = [];
+  if (body.instructions) {
+    messages.push({ role: 'system', content: body.instructions });
+  }
+  messages.push(...convertInput(body.input));
+
+  const request = { model: body.model, messages };
+  if (body.max_output_tokens) request.max_tokens = body.max_output_tokens;
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (body.user !== undefined) request.user = body.user;
+  if (body.parallel_tool_calls !== undefined) request.parallel_tool_calls = body.parallel_tool_calls;
+  if (body.reasoning && body.reasoning.effort) request.reasoning_effort = body.reasoning.effort;
+
+  const responseFormat = convertTextFormat(body.text);
+  if (responseFormat) request.response_format = responseFormat;
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    request.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters, strict: tool.strict }
+    }));
+    if (body.tool_choice !== undefined) request.tool_choice = convertToolChoice(body.tool_choice);
+  }
+
+  if (body.stream) {
+    request.stream = true;
+    request.stream_options = { include_usage: true };
+  }
+  return request;
+}
+
+function convertUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  const input = usage.prompt_tokens || 0;
+  const output = usage.completion_tokens || 0;
+  return {
+    input_tokens: input,
+    input_tokens_details: { cached_tokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0 },
+    output_tokens: output,
+    output_tokens_details: { reasoning_tokens: (usage.completion_tokens_details && usage.completion_tokens_details.reasoning_tokens) || 0 },
+    total_tokens: usage.total_tokens || input + output
+  };
+}
+
+// 根据 finish_reason 判断响应状态
+function completionStatus(finishReason) {
+  if (finishReason === 'length') {
+    return { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } };
+  }
+  if (finishReason === 'content_filter') {
+    return { status: 'incomplete', incomplete_details: { reason: 'content_filter' } };
+  }
+  return { status: 'completed', incomplete_details: null };
+}
+
+function messageItem(id, text, status = 'completed') {
+  return {
+    type: 'message',
+    id,
+    status,
+    role: 'assistant',
+    content: text === null ? [] : [{ type: 'output_text', text, annotations: [] }]
+  };
+}
+
+function functionCallItem(id, call, status = 'completed') {
+  return {
+    type: 'function_call',
+    id,
+    call_id: call.id,
+    name: call.name,
+    arguments: call.arguments,
+    status
+  };
+}
+
+// 生成 response 对象，回显请求中的配置
+function responseObject(body, fields) {
+  return {
+    id: fields.id,
+    object: 'response',
+    created_at: fields.createdAt,
+    status: fields.status,
+    error: null,
+    incomplete_details: fields.incomplete_details || null,
+    instructions: body.instructions || null,
+    max_output_tokens: body.max_output_tokens || null,
+    model: body.model,
+    output: fields.output,
+    parallel_tool_calls: body.parallel_tool_calls !== undefined ? body.parallel_tool_calls : true,
+    previous_response_id: null,
+    reasoning: body.reasoning || null,
+    temperature: body.temperature !== undefined ? body.temperature : null,
+    text: body.text || { format: { type: 'text' } },
+    tool_choice: body.tool_choice || 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p !== undefined ? body.top_p : null,
+    usage: fields.usage || null,
+    user: body.user || null,
+    metadata: body.metadata || {}
+  };
+}
+
+// 将 chat.completion 转换为 response 对象
+function fromChatCompletion(completion, body) {
+  const choice = (completion.choices || [])[0] || {};
+  const message = choice.message || {};
+  const output = [];
+
+  if (typeof message.content === 'string' && message.content) {
+    output.push(messageItem(generateId('msg'), message.content));
+  }
+  for (const call of message.tool_calls || []) {
+    output.push(functionCallItem(generateId('fc'), { id: call.id, name: call.function.name, arguments: call.function.arguments }));
+  }
+
+  return responseObject(body, {
+    id: generateId('resp'),
+    createdAt: completion.created || Math.floor(Date.now() / 1000),
+    output,
+    usage: convertUsage(completion.usage),
+    ...completionStatus(choice.finish_reason)
+  });
+}
+
+// 将 chat.completion.chunk 流转换为 Responses API 事件流
+function createStreamTranslator(res, body) {
+  const id = generateId('resp');
+  const createdAt = Math.floor(Date.now() / 1000);
+  const items = [];
+  const calls = new Map();
+  let sequence = 0;
+  let message = null;
+  let finishReason = null;
+  let usage = null;
+
+  function emit(type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...data })}\n\n`);
+  }
+
+  function snapshot(status, extra = {}) {
+    return responseObject(body, {
+      id,
+      createdAt,
+      status,
+      output: items.map(item => item.done || item.current()),
+      usage: convertUsage(usage),
+      ...extra
+    });
+  }
+
+  const created = snapshot('in_progress');
+  emit('response.created', { response: created });
+  emit('response.in_progress', { response: created });
+
+  function addItem(item) {
+    item.outputIndex = items.length;
+    items.push(item);
+    emit('response.output_item.added', { output_index: item.outputIndex, item: item.current('in_progress') });
+  }
+
+  function startMessage() {
+    message = {
+      id: generateId('msg'),
+      text: '',
+      current(status = 'in_progress') {
+        return messageItem(this.id, this.text, status);
+      }
+    };
+    addItem(message);
+    emit('response.content_part.added', {
+      item_id: message.id,
+      output_index: message.outputIndex,
+      content_index: 0,
+      part: { type: 'output_text', text: '', annotations: [] }
+    });
+  }
+
+  function closeItem(item) {
+    if (item.done) {
+      return;
+    }
+    if (item === message) {
+      emit('response.output_text.done', { item_id: item.id, output_index: item.outputIndex, content_index: 0, text: item.text });
+      emit('response.content_part.done', {
+        item_id: item.id,
+        output_index: item.outputIndex,
+        content_index: 0,
+        part: { type: 'output_text', text: item.text, annotations: [] }
+      });
+    } else {
+      emit('response.function_call_arguments.done', { item_id: item.id, output_index: item.outputIndex, arguments: item.call.arguments });
+    }
+    item.done = item.current('completed');
+    emit('response.output_item.done', { output_index: item.outputIndex, item: item.done });
+  }
+
+  return createChunkTranslator(res, {
+    chunk(chunk) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      const choice = (chunk.choices || []).find(item => (item.index || 0) === 0);
+      if (!choice) {
+        return;
+      }
+      const delta = choice.delta || {};
+
+      if (typeof delta.content === 'string' && delta.content) {
+        if (!message) {
+          startMessage();
+        }
+        message.text += delta.content;
+        emit('response.output_text.delta', { item_id: message.id, output_index: message.outputIndex, content_index: 0, delta: delta.content });
+      }
+
+      for (const call of delta.tool_calls || []) {
+        const position = call.index || 0;
+        if (!calls.has(position)) {
+          const item = {
+            id: generateId('fc'),
+            call: { id: call.id, name: (call.function && call.function.name) || '', arguments: '' },
+            current(status = 'in_progress') {
+              return functionCallItem(this.id, this.call, status);
+            }
+          };
+          calls.set(position, item);
+          addItem(item);
+        }
+        const item = calls.get(position);
+        const partial = call.function && call.function.arguments;
+        if (partial) {
+          item.call.arguments += partial;
+          emit('response.function_call_arguments.delta', { item_id: item.id, output_index: item.outputIndex, delta: partial });
+        }
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    },
+    done() {
+      items.forEach(closeItem);
+      const { status, incomplete_details } = completionStatus(finishReason);
+      emit(status === 'completed' ? 'response.completed' : 'response.incomplete', {
+        response: snapshot(status, { incomplete_details })
+      });
+    },
+    error(error) {
+      emit('error', { code: error.code, message: error.message, param: error.param || null });
+      emit('response.failed', {
+        response: {
+          ...snapshot('failed'),
+          error: { code: error.code || 'server_error', message: error.message }
+        }
+      });
+    }
+  });
+}
+
+module.exports = {
+  validateResponseRequest,
+  toChatRequest,
+  fromChatCompletion,
+  createStreamTranslator
+};
@@ -0,0 +1,210 @@
+// server.js
+
+const http = require('http');
+const path = require('path');
+const { errorBody } = require('./errors');
+const { logger } = require('./logger');
+
+const ROOT = path.join(__dirname, '..');
+
+// 请求体上限，需大于 MAX_UPLOAD_BYTES 以容纳 multipart 的额外开销
+const DEFAULT_BODY_LIMIT = 30 * 1024 * 1024;
+
+// 按 vercel.json 的 routes 构建路由表，另外保留 Vercel 默认的 /api/<name> 路径
+function loadRoutes(root = ROOT) {
+  const vercel = require(path.join(root, 'vercel.json'));
+  const routes = (vercel.routes || []).map(route => ({
+    pattern: new RegExp(`^${route.src}$`),
+    dest: route.dest
+  }));
+  routes.push({ pattern: /^\/api\/([\w-]+)$/, dest: '/api/$1' });
+  return routes;
+}
+
+function resolveRoute(routes, pathname) {
+  for (const route of routes) {
+    const match = pathname.match(route.pattern);
+    if (match) {
+      return route.dest.replace(/\$(\d+)/g, (_, index) => match[index]);
+    }
+  }
+  return null;
+}
+
+// 为 Node 原生响应对象补充 Vercel 提供的 res.status / res.json / res.send
+function enhanceResponse(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+
+  res.send = (body) => {
+    if (body === undefined || body === null) {
+      res.end();
+    } else if (Buffer.isBuffer(body)) {
+      if (!res.getHeader('Content-Type')) {
+        res.setHeader('Content-Type', 'application/octet-stream');
+      }
+      res.end(body);
+    } else if (typeof body === 'object') {
+      return res.json(body);
+    } else {
+      if (!res.getHeader('Content-Type')) {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      }
+      res.end(String(body));
+    }
+    return res;
+  };
+
+  return res;
+}
+
+function sendErrorBody(res, status, message, type, code) {
+  enhanceResponse(res).status(status).json(errorBody(message, type, code));
+}
+
+// 读取完整请求体，超过上限时返回 null（继续读完以便正常返回 413）
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+      if (!tooLarge) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// 与 Vercel 一致的请求体解析：JSON 解析为对象，文本为字符串，其余保持 Buffer
+function parseBody(buffer, contentType) {
+  if (buffer.length === 0) {
+    return undefined;
+  }
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json') {
+    try {
+      return JSON.parse(buffer.toString('utf8'));
+    } catch (e) {
+      // 交给 jsonBody 返回 400
+      return buffer.toString('utf8');
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(buffer.toString('utf8')));
+  }
+  if (type.startsWith('text/')) {
+    return buffer.toString('utf8');
+  }
+  return buffer;
+}
+
+// 创建挂载 api/*.js 处理函数的 HTTP 服务器
+function createServer(options = {}) {
+  const root = options.root || ROOT;
+  const bodyLimit = options.bodyLimit || Number(process.env.MAX_BODY_BYTES) || DEFAULT_BODY_LIMIT;
+  const routes = loadRoutes(root);
+  const handlers = new Map();
+
+  function loadHandler(dest) {
+    if (!handlers.has(dest)) {
+      let handler = null;
+      try {
+        handler = require(path.join(root, `${dest}.js`));
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+          throw error;
+        }
+      }
+      handlers.set(dest, handler);
+    }
+    return handlers.get(dest);
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // 与 Vercel 一致，dest 中的查询参数合并到 req.query
+    const [dest, destQuery] = (resolveRoute(routes, url.pathname) || '').split('?');
+    const handler = dest ? loadHandler(dest) : null;
+
+    if (!handler) {
+      sendErrorBody(res, 404, `Unknown route ${url.pathname}`, 'invalid_request_error', 'not_found');
+      return;
+    }
+
+    try {
+      const buffer = await readBody(req, bodyLimit);
+      if (buffer === null) {
+        sendErrorBody(res, 413, `Request body exceeds the ${bodyLimit} byte limit`, 'invalid_request_error', 'request_too_large');
+        return;
+      }
+      req.body = parseBody(buffer, req.headers['content-type']);
+      req.query = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(destQuery)) };
+
+      await handler(req, enhanceResponse(res));
+    } catch (error) {
+      logger.error('server handler error', { route: url.pathname, error });
+      if (!res.headersSent) {
+        sendErrorBody(res, 500, 'An error occurred.', 'internal_error', 500);
+      } else {
+        res.end();
+      }
+    }
+  });
+}
+
+// 收到 SIGTERM/SIGINT 后停止接收新连接，等待进行中的请求完成，超时后强制退出
+function handleShutdown(server, timeout = Number(process.env.SHUTDOWN_TIMEOUT) || 10000) {
+  let closing = false;
+
+  function shutdown(signal) {
+    if (closing) {
+      return;
+    }
+    closing = true;
+    logger.info('shutting down', { signal });
+
+    server.close(() => {
+      logger.info('server closed');
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+
+    setTimeout(() => {
+      logger.warn('shutdown timed out, closing open connections');
+      server.closeAllConnections();
+      process.exit(1);
+    }, timeout).unref();
+  }
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = {
+  DEFAULT_BODY_LIMIT,
+  loadRoutes,
+  resolveRoute,
+  enhanceResponse,
+  parseBody,
+  createServer,
+  handleShutdown
+};
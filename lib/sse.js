@@ -0,0 +1,98 @@
+// sse.js
+
+const { StringDecoder } = require('string_decoder');
+
+// 增量解析 SSE 文本，每个完整事件回调 onEvent({ raw, data })
+function createSseParser(onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  function emit(raw) {
+    if (!raw.trim()) {
+      return;
+    }
+    const data = raw
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    onEvent({ raw, data });
+  }
+
+  return {
+    write(chunk) {
+      buffer += decoder.write(chunk).replace(/\r\n/g, '\n');
+      let separator;
+      while ((separator = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, separator);
+        buffer = buffer.slice(separator + 2);
+        emit(raw);
+      }
+    },
+    end() {
+      buffer += decoder.end();
+      emit(buffer);
+      buffer = '';
+    }
+  };
+}
+
+// 解析事件中的 JSON 数据，[DONE] 或无法解析时返回 null
+function parseEventData(data) {
+  if (!data || data === '[DONE]') {
+    return null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// 将 chat.completion.chunk 事件流转换为其他协议后写入 res：
+// handlers.chunk(chunk) 处理每个数据块，handlers.done() 在 [DONE] 时调用，handlers.error(error) 处理错误事件。
+// 返回的对象实现 proxyStream 使用的 write / end / on，可直接作为其输出目标
+function createChunkTranslator(res, handlers) {
+  let done = false;
+  const parser = createSseParser(({ data }) => {
+    if (done) {
+      return;
+    }
+    if (data === '[DONE]') {
+      done = true;
+      handlers.done();
+      return;
+    }
+    const chunk = parseEventData(data);
+    if (!chunk) {
+      return;
+    }
+    if (chunk.error) {
+      done = true;
+      handlers.error(chunk.error);
+      return;
+    }
+    handlers.chunk(chunk);
+  });
+
+  return {
+    write(text) {
+      parser.write(Buffer.from(text));
+      return true;
+    },
+    end() {
+      parser.end();
+      res.end();
+    },
+    on(event, listener) {
+      res.on(event, listener);
+      return this;
+    }
+  };
+}
+
+module.exports = {
+  createSseParser,
+  parseEventData,
+  createChunkTranslator
+};
@@ -0,0 +1,143 @@
+// store.js
+
+const axios = require('axios');
+
+// 进程内存储，适用于单实例部署；maxEntries 限制条目数，超出时淘汰最早写入的条目
+class MemoryStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxEntries = options.maxEntries || Infinity;
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    this.evict();
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // 原子自增，首次写入时设置过期时间；返回 { value, ttlMs }
+  async increment(key, amount, ttlMs) {
+    let entry = this.read(key);
+    if (!entry) {
+      entry = { value: 0, expiresAt: Date.now() + ttlMs };
+      this.entries.set(key, entry);
+      this.sweep();
+      this.evict();
+    }
+    entry.value = Number(entry.value) + amount;
+    return { value: entry.value, ttlMs: entry.expiresAt - Date.now() };
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // 定期清理过期条目，避免内存无限增长
+  sweep() {
+    const now = Date.now();
+    if (this.lastSweep && now - this.lastSweep < 60000) {
+      return;
+    }
+    this.lastSweep = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// Redis 兼容存储，client 需提供 exec(commands) 并按顺序返回结果
+class RedisStore {
+  constructor(client, prefix = 'gateway:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const [value] = await this.client.exec([['GET', this.prefix + key]]);
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value, ttlMs) {
+    const command = ['SET', this.prefix + key, value];
+    if (ttlMs) {
+      command.push('PX', ttlMs);
+    }
+    await this.client.exec([command]);
+  }
+
+  async delete(key) {
+    await this.client.exec([['DEL', this.prefix + key]]);
+  }
+
+  async increment(key, amount, ttlMs) {
+    const fullKey = this.prefix + key;
+    const [, value, ttl] = await this.client.exec([
+      ['SET', fullKey, 0, 'PX', ttlMs, 'NX'],
+      ['INCRBY', fullKey, amount],
+      ['PTTL', fullKey]
+    ]);
+    return { value: Number(value), ttlMs: Number(ttl) > 0 ? Number(ttl) : ttlMs };
+  }
+}
+
+// 基于 REST 的 Redis 客户端（Upstash / Vercel KV 兼容的 /pipeline 接口）
+function createRestClient(url, token) {
+  const baseUrl = url.replace(/\/+$/, '');
+  return {
+    async exec(commands) {
+      const response = await axios.post(`${baseUrl}/pipeline`, commands, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 5000
+      });
+      return response.data.map(item => {
+        if (item.error) {
+          throw new Error(`Redis error: ${item.error}`);
+        }
+        return item.result;
+      });
+    }
+  };
+}
+
+// 根据环境变量创建存储：配置了 REDIS_REST_URL 时使用 Redis，否则使用内存；options 传给 MemoryStore
+function createStore(env = process.env, options = {}) {
+  if (env.REDIS_REST_URL && env.REDIS_REST_TOKEN) {
+    return new RedisStore(createRestClient(env.REDIS_REST_URL, env.REDIS_REST_TOKEN), env.REDIS_PREFIX || 'gateway:');
+  }
+  return new MemoryStore(options);
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createRestClient,
+  createStore
+};
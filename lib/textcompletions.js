@@ -0,0 +1,183 @@
+// textcompletions.js：旧版 /v1/completions 与 chat.completions 之间的转换
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { createChunkTranslator } = require('./sse');
+
+// 直接转发给 chat.completions 的参数
+const PASSTHROUGH_PARAMS = [
+  'temperature',
+  'top_p',
+  'n',
+  'stop',
+  'presence_penalty',
+  'frequency_penalty',
+  'logit_bias',
+  'seed',
+  'user',
+  'stream_options'
+];
+
+// 旧版接口未指定 max_tokens 时默认只生成 16 个 token
+const DEFAULT_MAX_TOKENS = 16;
+
+function invalidParam(param, message) {
+  const error = new ApiError(400, message, 'invalid_request_error', `invalid_${param}`);
+  error.param = param;
+  return error;
+}
+
+// 校验旧版请求，仅支持单个文本 prompt
+function validateCompletionRequest(body) {
+  if (typeof body.model !== 'string' || !body.model) {
+    throw invalidParam('model', 'model is required and must be a string');
+  }
+
+  const prompt = Array.isArray(body.prompt) && body.prompt.length === 1 ? body.prompt[0] : body.prompt;
+  if (typeof prompt !== 'string') {
+    throw invalidParam('prompt', 'prompt must be a string or an array containing a single string; token arrays and batched prompts are not supported');
+  }
+
+  if (body.suffix !== undefined && body.suffix !== null) {
+    throw invalidParam('suffix', 'suffix is not supported');
+  }
+  if (body.best_of !== undefined && body.best_of !== (body.n || 1)) {
+    throw invalidParam('best_of', 'best_of is not supported unless it equals n');
+  }
+  if (body.logprobs !== undefined && body.logprobs !== null
+    && !(Number.isInteger(body.logprobs) && body.logprobs >= 0 && body.logprobs <= 5)) {
+    throw invalidParam('logprobs', 'logprobs must be an integer between 0 and 5');
+  }
+  if (body.echo !== undefined && typeof body.echo !== 'boolean') {
+    throw invalidParam('echo', 'echo must be a boolean');
+  }
+  return prompt;
+}
+
+// 将旧版请求转换为 chat.completions 请求
+function toChatRequest(body, prompt) {
+  const request = {
+    model: body.model,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: body.max_tokens !== undefined ? body.max_tokens : DEFAULT_MAX_TOKENS
+  };
+  for (const param of PASSTHROUGH_PARAMS) {
+    if (body[param] !== undefined) {
+      request[param] = body[param];
+    }
+  }
+  if (Number.isInteger(body.logprobs)) {
+    request.logprobs = true;
+    request.top_logprobs = body.logprobs;
+  }
+  if (body.stream) {
+    request.stream = true;
+  }
+  return request;
+}
+
+function completionId() {
+  return `cmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// chat 的 logprobs.content 转换为旧版 { tokens, token_logprobs, top_logprobs, text_offset }
+function convertLogprobs(logprobs, offset = 0) {
+  if (!logprobs || !Array.isArray(logprobs.content)) {
+    return null;
+  }
+  const result = { tokens: [], token_logprobs: [], top_logprobs: [], text_offset: [] };
+  let position = offset;
+  for (const item of logprobs.content) {
+    result.tokens.push(item.token);
+    result.token_logprobs.push(item.logprob);
+    result.top_logprobs.push(Object.fromEntries((item.top_logprobs || []).map(top => [top.token, top.logprob])));
+    result.text_offset.push(position);
+    position += item.token.length;
+  }
+  return result;
+}
+
+// 将 chat.completion 转换为 text_completion；echo 时在生成内容前拼接 prompt
+function fromChatCompletion(completion, model, prompt, echo = false) {
+  const prefix = echo ? prompt : '';
+  return {
+    id: completionId(),
+    object: 'text_completion',
+    created: completion.created || Math.floor(Date.now() / 1000),
+    model: completion.model || model,
+    system_fingerprint: completion.system_fingerprint,
+    choices: (completion.choices || []).map(choice => ({
+      text: prefix + ((choice.message && choice.message.content) || ''),
+      index: choice.index || 0,
+      logprobs: convertLogprobs(choice.logprobs, prefix.length),
+      finish_reason: choice.finish_reason
+    })),
+    usage: completion.usage
+  };
+}
+
+// 将 chat.completion.chunk 流转换为 text_completion 数据块
+function createStreamTranslator(res, model, prompt, echo = false) {
+  const id = completionId();
+  const echoed = new Set();
+  const offsets = new Map();
+
+  function write(chunk) {
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  }
+
+  return createChunkTranslator(res, {
+    chunk(chunk) {
+      const base = {
+        id,
+        object: 'text_completion',
+        created: chunk.created || Math.floor(Date.now() / 1000),
+        model: chunk.model || model
+      };
+
+      const choices = [];
+      for (const choice of chunk.choices || []) {
+        const index = choice.index || 0;
+        let text = (choice.delta && choice.delta.content) || '';
+        if (echo && !echoed.has(index)) {
+          echoed.add(index);
+          text = prompt + text;
+        }
+        const offset = offsets.get(index) || 0;
+        offsets.set(index, offset + text.length);
+        if (!text && !choice.finish_reason) {
+          continue;
+        }
+        choices.push({
+          text,
+          index,
+          logprobs: convertLogprobs(choice.logprobs, offset),
+          finish_reason: choice.finish_reason || null
+        });
+      }
+
+      if (choices.length > 0) {
+        write({ ...base, choices });
+      }
+      if (chunk.usage) {
+        write({ ...base, choices: [], usage: chunk.usage });
+      }
+    },
+    done() {
+      res.write('data: [DONE]\n\n');
+    },
+    error(error) {
+      write({ error });
+      res.write('data: [DONE]\n\n');
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  validateCompletionRequest,
+  toChatRequest,
+  convertLogprobs,
+  fromChatCompletion,
+  createStreamTranslator
+};
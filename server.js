@@ -0,0 +1,14 @@
+// server.js：在普通 Node HTTP 服务器上运行，路由与 vercel.json 一致
+
+const { createServer, handleShutdown } = require('./lib/server');
+const { logger } = require('./lib/logger');
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || '0.0.0.0';
+
+const server = createServer();
+handleShutdown(server);
+
+server.listen(port, host, () => {
+  logger.info('server listening', { host, port });
+});
@@ -0,0 +1,189 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER, SPEECH_CHUNKS } = require('./helpers/mock-upstream');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function moderationRequests(since) {
+  return gateway.upstream.requests.slice(since).filter(request => request.body.response_format);
+}
+
+// 模拟上游以上传文件的文本作为转写结果
+function audioForm(transcript, fields = {}) {
+  const form = new FormData();
+  form.append('model', 'whisper-1');
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  form.append('file', new Blob([transcript], { type: 'audio/wav' }), 'speech.wav');
+  return form;
+}
+
+function transcribe(form, task = 'transcriptions') {
+  return gateway.request(`/v1/audio/${task}`, { body: form });
+}
+
+test('moderates transcripts before returning them', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await transcribe(audioForm('Hello world'));
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { text: 'Hello world' });
+
+  const [moderation] = moderationRequests(since);
+  assert.deepStrictEqual(moderation.body.messages.slice(1, -1), [{ role: 'user', content: 'Hello world' }]);
+});
+
+test('blocks flagged transcripts', async () => {
+  const response = await transcribe(audioForm(`Hello ${FLAG_MARKER}`));
+  assert.strictEqual(response.status, 403);
+  const { error } = await response.json();
+  assert.strictEqual(error.type, 'content_filter_error');
+  assert.strictEqual(error.code, 'content_violation');
+});
+
+test('skips transcript moderation when AUDIO_MODERATION is false', async () => {
+  process.env.AUDIO_MODERATION = 'false';
+  try {
+    const since = gateway.upstream.requests.length;
+    const response = await transcribe(audioForm(`Hello ${FLAG_MARKER}`));
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(moderationRequests(since), []);
+  } finally {
+    delete process.env.AUDIO_MODERATION;
+  }
+});
+
+test('forwards multipart uploads with the transcription fields', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await transcribe(audioForm('Bonjour', {
+    language: 'fr',
+    prompt: 'Greeting',
+    temperature: '0.2',
+    response_format: 'verbose_json',
+    'timestamp_granularities[]': 'word',
+    ignored: 'dropped'
+  }));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).text, 'Bonjour');
+
+  const [upload] = gateway.upstream.requests.slice(since).filter(request => request.url === '/v1/audio/transcriptions');
+  assert.deepStrictEqual(upload.body.fields, {
+    model: 'whisper-1',
+    language: 'fr',
+    prompt: 'Greeting',
+    response_format: 'verbose_json',
+    temperature: '0.2',
+    'timestamp_granularities[]': 'word'
+  });
+  assert.strictEqual(upload.body.files.file.filename, 'speech.wav');
+  assert.strictEqual(upload.body.files.file.contentType, 'audio/wav');
+  assert.strictEqual(upload.body.files.file.data.toString('utf8'), 'Bonjour');
+});
+
+test('returns text and subtitle formats as text', async () => {
+  let response = await transcribe(audioForm('Plain words', { response_format: 'text' }));
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  assert.strictEqual(await response.text(), 'Plain words');
+
+  response = await transcribe(audioForm('Subtitle words', { response_format: 'vtt' }));
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/vtt/);
+  assert.match(await response.text(), /^WEBVTT\n\n00:00:00\.000 --> 00:00:01\.000\nSubtitle words/);
+});
+
+test('moderates only the text of subtitles', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await transcribe(audioForm('Subtitle text', { response_format: 'srt' }));
+  assert.strictEqual(response.status, 200);
+  assert.match(await response.text(), /^1\n00:00:00,000 --> 00:00:01,000\nSubtitle text/);
+
+  const [moderation] = moderationRequests(since);
+  assert.deepStrictEqual(moderation.body.messages.slice(1, -1), [{ role: 'user', content: 'Subtitle text' }]);
+});
+
+test('forwards translations without transcription-only fields', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await transcribe(audioForm('Hello', { language: 'de', response_format: 'json' }), 'translations');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { text: 'Hello' });
+
+  const [upload] = gateway.upstream.requests.slice(since).filter(request => request.url === '/v1/audio/translations');
+  assert.deepStrictEqual(upload.body.fields, { model: 'whisper-1', response_format: 'json' });
+});
+
+test('validates transcription uploads', async () => {
+  const cases = [
+    [new FormData(), 'invalid_file'],
+    [audioForm('Hi', { response_format: 'mp3' }), 'invalid_response_format'],
+    [audioForm('Hi', { temperature: '2' }), 'invalid_temperature'],
+    [audioForm('Hi', { 'timestamp_granularities[]': 'word' }), 'invalid_timestamp_granularities']
+  ];
+  for (const [form, code] of cases) {
+    const response = await transcribe(form);
+    assert.strictEqual(response.status, 400, code);
+    assert.strictEqual((await response.json()).error.code, code);
+  }
+
+  const response = await gateway.request('/v1/audio/transcriptions', { body: { model: 'whisper-1' } });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_body');
+});
+
+test('rejects uploads over MAX_UPLOAD_BYTES', async () => {
+  process.env.MAX_UPLOAD_BYTES = '512';
+  try {
+    const response = await transcribe(audioForm('x'.repeat(1024)));
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual((await response.json()).error.code, 'request_too_large');
+  } finally {
+    delete process.env.MAX_UPLOAD_BYTES;
+  }
+});
+
+function speech(body) {
+  return gateway.request('/v1/audio/speech', { body: { model: 'tts-1', voice: 'alloy', ...body } });
+}
+
+test('streams synthesized speech back as binary audio', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await speech({ input: 'Read this aloud', response_format: 'mp3', speed: 1.5 });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'audio/mpeg');
+  assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), Buffer.concat(SPEECH_CHUNKS));
+
+  const [upstream] = gateway.upstream.requests.slice(since).filter(request => request.url === '/v1/audio/speech');
+  assert.deepStrictEqual(upstream.body, { model: 'tts-1', input: 'Read this aloud', voice: 'alloy', response_format: 'mp3', speed: 1.5 });
+});
+
+test('moderates speech input before synthesis', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await speech({ input: `Say ${FLAG_MARKER}` });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'content_violation');
+  assert.ok(gateway.upstream.requests.slice(since).every(request => request.url !== '/v1/audio/speech'));
+});
+
+test('validates speech parameters', async () => {
+  const cases = [
+    [{ input: '' }, 'invalid_input'],
+    [{ input: 'x'.repeat(4097) }, 'invalid_input'],
+    [{ input: 'Hi', voice: undefined }, 'invalid_voice'],
+    [{ input: 'Hi', response_format: 'ogg' }, 'invalid_response_format'],
+    [{ input: 'Hi', speed: 5 }, 'invalid_speed']
+  ];
+  for (const [body, code] of cases) {
+    const response = await speech(body);
+    assert.strictEqual(response.status, 400, code);
+    assert.strictEqual((await response.json()).error.code, code);
+  }
+});
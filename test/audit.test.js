@@ -0,0 +1,231 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+const { JsonlSink, WebhookSink, SqliteSink, setAuditSinks, flushAuditLog, toCsv } = require('../lib/audit');
+const { loadConfig } = require('../lib/config');
+
+// node:sqlite 需要 Node.js 22.5 及以上
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch (error) {
+  hasSqlite = false;
+}
+
+const ADMIN_TOKEN = 'admin-test-token';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    AUDIT_LOG: 'jsonl',
+    AUDIT_LOG_FILE: path.join(dir, 'audit.jsonl'),
+    ADMIN_TOKEN
+  });
+
+  await chat('hello');
+  await chat(`please ${FLAG_MARKER}`);
+  // 审计事件在后台写入
+  await flushAuditLog();
+});
+
+after(async () => {
+  await gateway.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function chat(content) {
+  return gateway.request('/v1/chat/completions', {
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content }] }
+  });
+}
+
+function admin(pathname, options = {}) {
+  return gateway.request(pathname, { method: 'GET', key: ADMIN_TOKEN, ...options });
+}
+
+test('records moderation decisions with hashed content', async () => {
+  const response = await admin('/admin/audit?verdict=all');
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.object, 'list');
+  assert.deepStrictEqual(body.data.map(event => event.verdict).sort(), ['flagged', 'passed']);
+
+  const flagged = body.data.find(event => event.verdict === 'flagged');
+  assert.strictEqual(flagged.client, 'full');
+  assert.strictEqual(flagged.model, 'gpt-4o-mini');
+  assert.strictEqual(flagged.stage, 'input');
+  assert.strictEqual(flagged.route, '/v1/chat/completions');
+  assert.deepStrictEqual(flagged.categories, ['violence']);
+  assert.match(flagged.content_hash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(flagged.content, null);
+});
+
+test('lists only blocked events by default and filters by category', async () => {
+  let body = await (await admin('/admin/audit')).json();
+  assert.deepStrictEqual(body.data.map(event => event.verdict), ['flagged']);
+
+  body = await (await admin('/admin/audit?category=hate')).json();
+  assert.deepStrictEqual(body.data, []);
+
+  const response = await admin('/admin/audit?verdict=maybe');
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.param, 'verdict');
+});
+
+test('requires the admin token', async () => {
+  let response = await admin('/admin/audit', { key: null });
+  assert.strictEqual(response.status, 401);
+  response = await admin('/admin/audit', { key: 'sk-test-full' });
+  assert.strictEqual(response.status, 401);
+});
+
+test('marks events as false positives', async () => {
+  const [event] = (await (await admin('/admin/audit')).json()).data;
+
+  let response = await admin(`/admin/audit/${event.id}`, {
+    method: 'PATCH',
+    body: { false_positive: true, note: 'test phrase' }
+  });
+  assert.strictEqual(response.status, 200);
+  const reviewed = await response.json();
+  assert.strictEqual(reviewed.false_positive, true);
+  assert.strictEqual(reviewed.review_note, 'test phrase');
+  assert.ok(reviewed.reviewed_at);
+
+  const body = await (await admin('/admin/audit?false_positive=true')).json();
+  assert.deepStrictEqual(body.data.map(item => item.id), [event.id]);
+  assert.strictEqual((await (await admin(`/admin/audit/${event.id}`)).json()).review_note, 'test phrase');
+
+  response = await admin('/admin/audit/audit_missing', { method: 'PATCH', body: { false_positive: true } });
+  assert.strictEqual(response.status, 404);
+});
+
+test('exports events as CSV', async () => {
+  const response = await admin('/admin/audit/export?format=csv');
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="audit-.*\.csv"/);
+  const lines = (await response.text()).trim().split('\r\n');
+  assert.strictEqual(lines.length, 2);
+  assert.match(lines[0], /^id,timestamp,/);
+  assert.match(lines[1], /,flagged,violence,/);
+});
+
+test('neutralises spreadsheet formulas in CSV cells', () => {
+  const lines = toCsv([
+    { id: '=HYPERLINK("http://evil")', client: '+1', model: '-2', policy: '@SUM(A1)', content: 'safe = text' }
+  ]).trim().split('\r\n');
+  const [id, , , client, , model, policy] = lines[1].split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  assert.strictEqual(id, `"'=HYPERLINK(""http://evil"")"`);
+  assert.deepStrictEqual([client, model, policy], ["'+1", "'-2", "'@SUM(A1)"]);
+  assert.match(lines[1], /,safe = text$/);
+});
+
+test('rejects the SQLite sink in the configuration without node:sqlite', () => {
+  const { errors } = loadConfig({ ...process.env, AUDIT_LOG: 'jsonl,sqlite' });
+  const audit = errors.filter(error => error.section === 'audit');
+  if (hasSqlite) {
+    assert.deepStrictEqual(audit, []);
+  } else {
+    assert.strictEqual(audit.length, 1);
+    assert.match(audit[0].message, /AUDIT_LOG=sqlite requires node:sqlite \(Node\.js 22\.5 or later\)/);
+  }
+});
+
+test('does not hold requests while audit sinks are slow', async () => {
+  let release;
+  const recorded = [];
+  setAuditSinks([{
+    record: event => new Promise((resolve) => {
+      release = () => {
+        recorded.push(event);
+        resolve();
+      };
+    })
+  }]);
+
+  try {
+    const response = await chat(`again ${FLAG_MARKER}`);
+    assert.strictEqual(response.status, 403);
+    assert.deepStrictEqual(recorded, []);
+
+    release();
+    await flushAuditLog();
+    assert.strictEqual(recorded.length, 1);
+    assert.strictEqual(recorded[0].verdict, 'flagged');
+  } finally {
+    setAuditSinks(null);
+  }
+});
+
+test('reads only the tail of large JSONL files', async () => {
+  const sink = new JsonlSink(path.join(dir, 'tail.jsonl'), { readBytes: 300 });
+  for (let i = 0; i < 10; i++) {
+    await sink.record({ id: `audit_${i}`, timestamp: `2026-01-0${i}T00:00:00.000Z`, categories: [] });
+  }
+
+  const ids = (await sink.readAll()).map(event => event.id);
+  assert.ok(ids.length > 0 && ids.length < 10);
+  assert.strictEqual(ids[ids.length - 1], 'audit_9');
+  assert.ok(!ids.includes('audit_0'));
+});
+
+test('signs webhook deliveries', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ body, signature: req.headers['x-audit-signature'] });
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const sink = new WebhookSink(`http://127.0.0.1:${server.address().port}/hook`, 'secret');
+    await sink.record({ id: 'audit_1', verdict: 'flagged' });
+    assert.strictEqual(received.length, 1);
+    const expected = crypto.createHmac('sha256', 'secret').update(received[0].body).digest('hex');
+    assert.strictEqual(received[0].signature, `sha256=${expected}`);
+    assert.deepStrictEqual(JSON.parse(received[0].body), { id: 'audit_1', verdict: 'flagged' });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('stores and reviews events in SQLite', { skip: !hasSqlite && 'node:sqlite is not available' }, async () => {
+  const sink = new SqliteSink(path.join(dir, 'audit.db'));
+  const event = (id, verdict, timestamp) => ({
+    id,
+    timestamp,
+    client: 'full',
+    model: 'gpt-4o-mini',
+    stage: 'input',
+    verdict,
+    categories: verdict === 'flagged' ? ['violence'] : [],
+    category_scores: { violence: verdict === 'flagged' ? 0.99 : 0.01 },
+    content_hash: 'hash',
+    content: null,
+    false_positive: false,
+    review_note: null,
+    reviewed_at: null
+  });
+  await sink.record(event('audit_a', 'flagged', '2026-01-01T00:00:00.000Z'));
+  await sink.record(event('audit_b', 'passed', '2026-01-02T00:00:00.000Z'));
+
+  assert.deepStrictEqual((await sink.query({}, { limit: 10 })).map(item => item.id), ['audit_b', 'audit_a']);
+  assert.deepStrictEqual((await sink.query({ category: 'violence' }, { limit: 10 })).map(item => item.id), ['audit_a']);
+
+  const reviewed = await sink.review('audit_a', { false_positive: true, note: 'ok', reviewed_at: '2026-01-03T00:00:00.000Z' });
+  assert.strictEqual(reviewed.false_positive, true);
+  assert.deepStrictEqual(reviewed.categories, ['violence']);
+  assert.strictEqual(await sink.review('audit_missing', { false_positive: true, reviewed_at: '2026-01-03T00:00:00.000Z' }), null);
+});
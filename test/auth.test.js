@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+const chatBody = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] };
+
+test('rejects requests without a key', async () => {
+  const response = await gateway.request('/v1/chat/completions', { key: null, body: chatBody });
+  assert.strictEqual(response.status, 401);
+  const body = await response.json();
+  assert.strictEqual(body.error.code, 'invalid_auth_key');
+  assert.strictEqual(body.error.type, 'invalid_request_error');
+});
+
+test('rejects unknown keys', async () => {
+  const response = await gateway.request('/v1/chat/completions', { key: 'sk-wrong', body: chatBody });
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).error.code, 'invalid_auth_key');
+});
+
+test('rejects endpoints the key is not allowed to use', async () => {
+  const response = await gateway.request('/v1/embeddings', {
+    key: KEYS.limited,
+    body: { model: 'text-embedding-3-small', input: 'hi' }
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'endpoint_not_allowed');
+});
+
+test('rejects models the key is not allowed to use', async () => {
+  const response = await gateway.request('/v1/chat/completions', {
+    key: KEYS.limited,
+    body: { ...chatBody, model: 'gpt-4o' }
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'model_not_allowed');
+});
+
+test('filters the model list by the key allow-list', async () => {
+  const response = await gateway.request('/v1/models', { method: 'GET', key: KEYS.limited });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.deepStrictEqual(body.data.map(model => model.id), ['gpt-4o-mini']);
+});
+
+test('answers CORS preflight without authentication', async () => {
+  const response = await gateway.request('/v1/chat/completions', { method: 'OPTIONS', key: null });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('access-control-allow-methods'), /POST/);
+});
+
+test('rejects methods the route does not support', async () => {
+  const response = await gateway.request('/v1/chat/completions', { method: 'GET' });
+  assert.strictEqual(response.status, 405);
+});
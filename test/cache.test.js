@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway, parseSse } = require('./helpers/gateway');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({ CHAT_CACHE: 'true' });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function generationRequests() {
+  return gateway.upstream.requests.filter(request =>
+    request.url === '/v1/chat/completions' && !request.body.response_format);
+}
+
+// 同一请求发送两次，返回两次的响应与第二次新增的上游生成请求数
+async function sendTwice(path, body) {
+  const first = await gateway.request(path, { body });
+  await first.arrayBuffer();
+  const count = generationRequests().length;
+  const second = await gateway.request(path, { body });
+  return { first, second, upstreamCalls: generationRequests().length - count };
+}
+
+function chatBody(content, extra = {}) {
+  return { model: 'gpt-4o-mini', temperature: 0, messages: [{ role: 'user', content }], ...extra };
+}
+
+test('serves repeated deterministic chat completions from the cache', async () => {
+  const { first, second, upstreamCalls } = await sendTwice('/v1/chat/completions', chatBody('Cache chat'));
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(upstreamCalls, 0);
+  assert.strictEqual((await second.json()).choices[0].message.content, 'Hello from mock');
+});
+
+test('replays a cached completion as a stream', async () => {
+  await (await gateway.request('/v1/chat/completions', { body: chatBody('Cache replay') })).arrayBuffer();
+  const count = generationRequests().length;
+
+  const response = await gateway.request('/v1/chat/completions', {
+    body: chatBody('Cache replay', { stream: true, stream_options: { include_usage: true } })
+  });
+  assert.strictEqual(response.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(generationRequests().length, count);
+
+  const events = parseSse(await response.text());
+  assert.strictEqual(events[0].choices[0].delta.content, 'Hello from mock');
+  assert.strictEqual(events[1].choices[0].finish_reason, 'stop');
+  assert.strictEqual(events[2].usage.total_tokens, 15);
+  assert.strictEqual(events[3], '[DONE]');
+});
+
+test('skips the cache for sampled requests', async () => {
+  const { first, second, upstreamCalls } = await sendTwice('/v1/chat/completions', chatBody('Cache sampled', { temperature: 0.7 }));
+  assert.strictEqual(first.headers.get('x-cache'), null);
+  assert.strictEqual(second.headers.get('x-cache'), null);
+  assert.strictEqual(upstreamCalls, 1);
+});
+
+test('does not read the cache for Cache-Control: no-cache', async () => {
+  const body = chatBody('Cache bypass');
+  await (await gateway.request('/v1/chat/completions', { body })).arrayBuffer();
+  const count = generationRequests().length;
+
+  const response = await gateway.request('/v1/chat/completions', { body, headers: { 'Cache-Control': 'no-cache' } });
+  assert.strictEqual(response.headers.get('x-cache'), 'MISS');
+  assert.strictEqual(generationRequests().length, count + 1);
+});
+
+test('serves repeated legacy completions from the cache', async () => {
+  const { first, second, upstreamCalls } = await sendTwice('/v1/completions', {
+    model: 'gpt-4o-mini', prompt: 'Cache legacy', temperature: 0
+  });
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(upstreamCalls, 0);
+
+  const body = await second.json();
+  assert.strictEqual(body.object, 'text_completion');
+  assert.strictEqual(body.choices[0].text, 'Hello from mock');
+});
+
+test('serves repeated Messages API requests from the cache', async () => {
+  const { second, upstreamCalls } = await sendTwice('/v1/messages', {
+    model: 'gpt-4o-mini', max_tokens: 100, temperature: 0, messages: [{ role: 'user', content: 'Cache messages' }]
+  });
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(upstreamCalls, 0);
+
+  const body = await second.json();
+  assert.strictEqual(body.type, 'message');
+  assert.deepStrictEqual(body.content, [{ type: 'text', text: 'Hello from mock' }]);
+});
+
+test('replays cached Responses API streams in the Responses event format', async () => {
+  const { second, upstreamCalls } = await sendTwice('/v1/responses', {
+    model: 'gpt-4o-mini', input: 'Cache responses', temperature: 0, stream: true
+  });
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(upstreamCalls, 0);
+
+  const text = await second.text();
+  assert.match(text, /event: response\.output_text\.delta/);
+  assert.match(text, /event: response\.completed/);
+  assert.match(text, /Hello from mock/);
+  assert.doesNotMatch(text, /\[DONE\]/);
+});
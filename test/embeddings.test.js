@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway } = require('./helpers/gateway');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    EMBEDDINGS_BATCH_SIZE: '2',
+    EMBEDDINGS_CACHE: 'true'
+  });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function embeddingRequests(since) {
+  return gateway.upstream.requests.slice(since).filter(request => request.url === '/v1/embeddings');
+}
+
+function embed(body) {
+  return gateway.request('/v1/embeddings', { body: { model: 'text-embedding-3-small', ...body } });
+}
+
+// 模拟上游返回的向量第一维是输入文本的长度，用于核对合并后的顺序
+test('splits large inputs into batches and merges them in order', async () => {
+  const since = gateway.upstream.requests.length;
+  const input = ['a', 'bb', 'ccc', 'dddd', 'eeeee'].map(text => `batch ${text}`);
+  const response = await embed({ input });
+  assert.strictEqual(response.status, 200);
+
+  const body = await response.json();
+  assert.deepStrictEqual(body.data.map(item => item.index), [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(body.data.map(item => item.embedding[0]), input.map(text => text.length));
+  assert.deepStrictEqual(body.usage, { prompt_tokens: 5, total_tokens: 5 });
+  assert.deepStrictEqual(embeddingRequests(since).map(request => request.body.input), [input.slice(0, 2), input.slice(2, 4), input.slice(4)]);
+});
+
+test('serves repeated inputs from the cache', async () => {
+  const input = ['cache one', 'cache two'];
+  let response = await embed({ input });
+  assert.strictEqual(response.headers.get('x-embeddings-cached'), '0');
+  const first = await response.json();
+
+  const since = gateway.upstream.requests.length;
+  response = await embed({ input });
+  assert.strictEqual(response.headers.get('x-embeddings-cached'), '2');
+  assert.deepStrictEqual((await response.json()).data, first.data);
+  assert.deepStrictEqual(embeddingRequests(since), []);
+});
+
+test('only sends inputs missing from the cache', async () => {
+  await (await embed({ input: 'partial cached' })).arrayBuffer();
+
+  const since = gateway.upstream.requests.length;
+  const response = await embed({ input: ['partial new', 'partial cached', 'partial newer'] });
+  assert.strictEqual(response.headers.get('x-embeddings-cached'), '1');
+  const body = await response.json();
+  assert.deepStrictEqual(body.data.map(item => item.embedding[0]), [11, 14, 13]);
+  assert.deepStrictEqual(embeddingRequests(since).map(request => request.body.input), [['partial new', 'partial newer']]);
+});
+
+test('keys the cache by model options', async () => {
+  await (await embed({ input: 'options cached' })).arrayBuffer();
+
+  const since = gateway.upstream.requests.length;
+  const response = await embed({ input: 'options cached', dimensions: 256, encoding_format: 'base64' });
+  assert.strictEqual(response.headers.get('x-embeddings-cached'), '0');
+  const [request] = embeddingRequests(since);
+  assert.strictEqual(request.body.dimensions, 256);
+  assert.strictEqual(request.body.encoding_format, 'base64');
+});
+
+test('accepts token array inputs', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await embed({ input: [[1, 2, 3], [4, 5]] });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).data.length, 2);
+  assert.deepStrictEqual(embeddingRequests(since)[0].body.input, [[1, 2, 3], [4, 5]]);
+});
+
+test('validates embedding requests', async () => {
+  const cases = [
+    [{ input: '' }, 'input'],
+    [{ input: [] }, 'input'],
+    [{ input: ['ok', 3] }, 'input'],
+    [{ input: 'Hi', dimensions: 0 }, 'dimensions'],
+    [{ input: 'Hi', encoding_format: 'int8' }, 'encoding_format'],
+    [{ input: 'Hi', model: undefined }, 'model']
+  ];
+  for (const [body, param] of cases) {
+    const response = await embed(body);
+    assert.strictEqual(response.status, 400, JSON.stringify(body));
+    const { error } = await response.json();
+    assert.strictEqual(error.param, param);
+  }
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ApiError, handleError } = require('../lib/errors');
+const { startGateway, parseSse } = require('./helpers/gateway');
+
+let gateway;
+
+before(async () => {
+  // offline-* 路由到未监听的端口，用于验证连接错误
+  gateway = await startGateway(url => ({
+    PROVIDERS: JSON.stringify([
+      { name: 'upstream', url, key: 'second-provider-key', models: ['gpt-*', 'error-*'] },
+      { name: 'offline', url: 'http://127.0.0.1:1', key: 'unused', models: ['offline-*'] }
+    ])
+  }));
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+const chat = model => ({ model, messages: [{ role: 'user', content: 'hi' }] });
+
+test('maps ApiError to its status and envelope', () => {
+  const error = new ApiError(418, 'Teapot', 'invalid_request_error', 'teapot', 'details');
+  error.param = 'kettle';
+  assert.deepStrictEqual(handleError(error), {
+    status: 418,
+    body: { error: { message: 'Teapot', type: 'invalid_request_error', param: 'kettle', code: 'teapot', details: 'details' } }
+  });
+});
+
+test('maps connection errors to 5xx', () => {
+  const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  assert.strictEqual(handleError(refused).status, 503);
+  const timeout = Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+  assert.strictEqual(handleError(timeout).status, 504);
+});
+
+test('maps unknown errors to 500', () => {
+  const { status, body } = handleError(new Error('boom'));
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.error.type, 'internal_error');
+});
+
+test('forwards upstream error status and message', async () => {
+  const response = await gateway.request('/v1/chat/completions', { body: chat('error-500') });
+  assert.strictEqual(response.status, 500);
+  const body = await response.json();
+  assert.strictEqual(body.error.message, 'Upstream exploded');
+  assert.strictEqual(body.error.type, 'server_error');
+});
+
+test('forwards upstream rate limits', async () => {
+  const response = await gateway.request('/v1/chat/completions', { body: chat('error-429') });
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual((await response.json()).error.type, 'rate_limit_error');
+});
+
+test('returns 503 when the provider is unreachable', async () => {
+  const response = await gateway.request('/v1/chat/completions', { body: chat('offline-model') });
+  assert.strictEqual(response.status, 503);
+  const body = await response.json();
+  assert.strictEqual(body.error.type, 'connection_error');
+  assert.strictEqual(body.error.code, 'ECONNREFUSED');
+});
+
+test('returns 404 for models no provider serves', async () => {
+  const response = await gateway.request('/v1/chat/completions', { body: chat('unrouted') });
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual((await response.json()).error.code, 'model_not_found');
+});
+
+test('reports upstream errors on streams as an error event', async () => {
+  const response = await gateway.request('/v1/chat/completions', { body: { ...chat('error-500'), stream: true } });
+  const events = parseSse(await response.text());
+  assert.ok(events[0].error);
+  assert.strictEqual(events[1], '[DONE]');
+});
@@ -0,0 +1,77 @@
+// gateway.js：在随机端口启动网关与模拟上游，供测试使用
+
+const { startMockUpstream } = require('./mock-upstream');
+
+const KEYS = {
+  full: 'sk-test-full',
+  limited: 'sk-test-limited',
+  bypass: 'sk-test-bypass'
+};
+
+// 配置在首次加载处理函数时读取，因此每个测试文件只启动一次网关
+// env 可以是函数，接收模拟上游的 url 后返回额外的环境变量
+async function startGateway(env = {}) {
+  const upstream = await startMockUpstream();
+  const overrides = typeof env === 'function' ? env(upstream.url) : env;
+
+  Object.assign(process.env, {
+    AUTH_KEYS: JSON.stringify([
+      { name: 'full', key: KEYS.full },
+      { name: 'limited', key: KEYS.limited, endpoints: ['chat', 'models'], models: ['gpt-4o-mini'] },
+      { name: 'bypass', key: KEYS.bypass, bypassModeration: true }
+    ]),
+    FIRST_PROVIDER_URL: upstream.url,
+    FIRST_PROVIDER_MODEL: 'moderation-model',
+    FIRST_PROVIDER_KEY: 'first-provider-key',
+    SECOND_PROVIDER_URL: upstream.url,
+    SECOND_PROVIDER_KEY: 'second-provider-key',
+    LOG_LEVEL: 'silent',
+    ...overrides
+  });
+
+  const { createServer } = require('../../lib/server');
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // 发送请求，body 为对象时按 JSON 发送，为 FormData 时按 multipart 发送
+  async function request(path, { method = 'POST', key = KEYS.full, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (key) {
+      init.headers.Authorization = `Bearer ${key}`;
+    }
+    if (body instanceof FormData) {
+      // multipart 边界由 fetch 生成
+      init.body = body;
+    } else if (body !== undefined) {
+      init.body = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+      if (!init.headers['Content-Type']) {
+        init.headers['Content-Type'] = 'application/json';
+      }
+    }
+    return fetch(url + path, init);
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await upstream.close();
+  }
+
+  return { url, upstream, request, close };
+}
+
+// 解析 SSE 响应文本中的 data 行
+function parseSse(text) {
+  return text
+    .split('\n\n')
+    .filter(event => event.startsWith('data: '))
+    .map(event => event.slice(6))
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+module.exports = {
+  KEYS,
+  startGateway,
+  parseSse
+};
@@ -0,0 +1,292 @@
+// mock-upstream.js：模拟 OpenAI 兼容的上游，同时充当审核模型与生成模型
+// 直接运行时监听 MOCK_PORT（默认 4010），便于本地联调
+
+const http = require('http');
+const { parseMultipart } = require('../../lib/multipart');
+
+// 审核消息中包含该标记时判定为违规
+const FLAG_MARKER = 'FLAGGED';
+
+// 审核消息中包含该标记时延迟返回审核结果
+const SLOW_MARKER = 'SLOW';
+const SLOW_DELAY_MS = 100;
+
+// 以下模型名触发对应的上游异常
+const ERROR_MODELS = {
+  'error-500': { status: 500, message: 'Upstream exploded', type: 'server_error' },
+  'error-429': { status: 429, message: 'Upstream rate limit', type: 'rate_limit_error' }
+};
+
+// 以下模型名以单个分片返回固定的长文本，用于测试输出审核
+const LONG_OUTPUT_MODELS = {
+  'long-flagged-output': `${FLAG_MARKER} ${'lorem ipsum '.repeat(300)}`
+};
+
+// 该模型延迟返回生成结果（流式请求先返回第一个分片），用于测试推测执行时中止上游
+const SLOW_OUTPUT_MODEL = 'slow-output';
+const SLOW_OUTPUT_DELAY_MS = 300;
+
+const SPEECH_CHUNKS = [Buffer.from([0x49, 0x44, 0x33, 0x04]), Buffer.from('mock speech '), Buffer.from([0x00, 0xff])];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// multipart 请求解析为 { fields, files }，其他请求按 JSON 解析
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      const contentType = req.headers['content-type'] || '';
+      if (/^multipart\/form-data/i.test(contentType)) {
+        resolve(parseMultipart(buffer, contentType));
+        return;
+      }
+      const text = buffer.toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (e) {
+        resolve({ raw: text });
+      }
+    });
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function moderationVerdict(body) {
+  // 最后一条消息是审核提示词本身，只检查送审的消息
+  const reviewed = JSON.stringify(body.messages.slice(1, -1));
+  const flagged = reviewed.includes(FLAG_MARKER);
+  return {
+    flagged,
+    categories: { violence: flagged },
+    category_scores: { violence: flagged ? 0.99 : 0.01 }
+  };
+}
+
+function completion(body, content) {
+  return {
+    id: 'chatcmpl-mock',
+    object: 'chat.completion',
+    created: 1700000000,
+    model: body.model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+  };
+}
+
+// tool_choice 为 required 时调用第一个工具
+function toolCall(body) {
+  return { id: 'call_mock', type: 'function', function: { name: body.tools[0].function.name, arguments: '{"city":"Paris"}' } };
+}
+
+function streamToolCall(res, body) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const base = { id: 'chatcmpl-mock', object: 'chat.completion.chunk', created: 1700000000, model: body.model };
+  const call = toolCall(body);
+  const deltas = [
+    { tool_calls: [{ index: 0, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] },
+    { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] },
+    { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] }
+  ];
+  for (const delta of deltas) {
+    res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta, finish_reason: null }] })}\n\n`);
+  }
+  res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] })}\n\n`);
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+// pause 大于 0 时在第一个分片之后暂停，期间客户端断开则不再继续写出
+async function streamCompletion(res, body, words, includeUsage, pause = 0) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const base = { id: 'chatcmpl-mock', object: 'chat.completion.chunk', created: 1700000000, model: body.model };
+  for (const [index, word] of words.entries()) {
+    if (index === 1 && pause > 0) {
+      await sleep(pause);
+      if (res.destroyed) {
+        return;
+      }
+    }
+    res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta: { content: word }, finish_reason: null }] })}\n\n`);
+  }
+  res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+  if (includeUsage) {
+    res.write(`data: ${JSON.stringify({ ...base, choices: [], usage: { prompt_tokens: 10, completion_tokens: words.length, total_tokens: 10 + words.length } })}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+// 模拟转写直接以上传文件的文本作为转写结果，按 response_format 返回
+function sendTranscript(res, body) {
+  const text = body.files.file.data.toString('utf8');
+  const format = body.fields.response_format || 'json';
+  if (format === 'json' || format === 'verbose_json') {
+    sendJson(res, 200, format === 'json' ? { text } : { task: 'transcribe', language: 'english', duration: 1, text, segments: [] });
+    return;
+  }
+  const subtitles = {
+    text,
+    srt: `1\n00:00:00,000 --> 00:00:01,000\n${text}\n`,
+    vtt: `WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n${text}\n`
+  };
+  res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(subtitles[format]);
+}
+
+// 启动模拟上游，返回 { url, requests, close }；requests 记录收到的每个请求，
+// 响应完成前连接被客户端关闭的请求标记 aborted: true
+function startMockUpstream(port = 0) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    const entry = { method: req.method, url: req.url, headers: req.headers, body };
+    requests.push(entry);
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        entry.aborted = true;
+      }
+    });
+
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      sendJson(res, 200, {
+        object: 'list',
+        data: [
+          { id: 'gpt-4o-mini', object: 'model', owned_by: 'mock' },
+          { id: 'gpt-4o', object: 'model', owned_by: 'mock' }
+        ]
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      // 审核请求同样按模型名触发异常，用于测试审核失败时的处理
+      const failure = ERROR_MODELS[body.model];
+      if (failure) {
+        sendJson(res, failure.status, { error: { message: failure.message, type: failure.type, param: null, code: null } });
+        return;
+      }
+
+      if (body.response_format && body.response_format.type === 'json_object') {
+        if (JSON.stringify(body.messages.slice(1, -1)).includes(SLOW_MARKER)) {
+          await sleep(SLOW_DELAY_MS);
+        }
+        sendJson(res, 200, completion(body, JSON.stringify(moderationVerdict(body))));
+        return;
+      }
+
+      if (body.tools && body.tool_choice === 'required') {
+        if (body.stream) {
+          streamToolCall(res, body);
+          return;
+        }
+        const response = completion(body, null);
+        response.choices[0].message.tool_calls = [toolCall(body)];
+        response.choices[0].finish_reason = 'tool_calls';
+        sendJson(res, 200, response);
+        return;
+      }
+
+      if (body.model === SLOW_OUTPUT_MODEL) {
+        if (body.stream) {
+          await streamCompletion(res, body, ['Hello', ' from', ' mock'], false, SLOW_OUTPUT_DELAY_MS);
+          return;
+        }
+        await sleep(SLOW_OUTPUT_DELAY_MS);
+        if (!res.destroyed) {
+          sendJson(res, 200, completion(body, 'Hello from mock'));
+        }
+        return;
+      }
+
+      const longOutput = LONG_OUTPUT_MODELS[body.model];
+      if (longOutput) {
+        if (body.stream) {
+          streamCompletion(res, body, [longOutput], body.stream_options && body.stream_options.include_usage);
+          return;
+        }
+        sendJson(res, 200, completion(body, longOutput));
+        return;
+      }
+
+      if (body.stream) {
+        streamCompletion(res, body, ['Hello', ' from', ' mock'], body.stream_options && body.stream_options.include_usage);
+        return;
+      }
+      sendJson(res, 200, completion(body, 'Hello from mock'));
+      return;
+    }
+
+    if (req.method === 'POST' && /^\/v1\/images\/(generations|edits|variations)$/.test(req.url)) {
+      const n = Number(body.n || (body.fields && body.fields.n)) || 1;
+      sendJson(res, 200, {
+        created: 1700000000,
+        data: Array.from({ length: n }, (item, index) => ({ url: `https://images.mock/${index}.png` }))
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && /^\/v1\/audio\/(transcriptions|translations)$/.test(req.url)) {
+      sendTranscript(res, body);
+      return;
+    }
+
+    // 语音合成分多次写出音频数据，模拟流式返回
+    if (req.method === 'POST' && req.url === '/v1/audio/speech') {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      for (const chunk of SPEECH_CHUNKS) {
+        res.write(chunk);
+      }
+      res.end();
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/embeddings') {
+      const inputs = Array.isArray(body.input) ? body.input : [body.input];
+      sendJson(res, 200, {
+        object: 'list',
+        model: body.model,
+        data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: [String(input).length, index] })),
+        usage: { prompt_tokens: inputs.length, total_tokens: inputs.length }
+      });
+      return;
+    }
+
+    sendJson(res, 404, { error: { message: `Mock has no route ${req.url}`, type: 'invalid_request_error', param: null, code: null } });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockUpstream(Number(process.env.MOCK_PORT) || 4010).then(({ url }) => {
+    console.log(`Mock upstream listening on ${url}`);
+  });
+}
+
+module.exports = {
+  FLAG_MARKER,
+  SLOW_MARKER,
+  SLOW_OUTPUT_MODEL,
+  SPEECH_CHUNKS,
+  startMockUpstream
+};
@@ -0,0 +1,181 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function imageRequests(since, operation = 'generations') {
+  return gateway.upstream.requests.slice(since).filter(request => request.url === `/v1/images/${operation}`);
+}
+
+function moderationRequests(since) {
+  return gateway.upstream.requests.slice(since).filter(request => request.body.response_format);
+}
+
+function generate(body, options = {}) {
+  return gateway.request('/v1/images/generations', { body, ...options });
+}
+
+test('moderates the prompt before generating images', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await generate({ prompt: 'A cat on a sofa' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).data[0].url, 'https://images.mock/0.png');
+
+  const [moderation] = moderationRequests(since);
+  assert.deepStrictEqual(moderation.body.messages.slice(1, -1), [{ role: 'user', content: 'A cat on a sofa' }]);
+  assert.strictEqual(imageRequests(since)[0].body.prompt, 'A cat on a sofa');
+});
+
+test('blocks flagged prompts without calling the image model', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await generate({ prompt: `A ${FLAG_MARKER} scene` });
+  assert.strictEqual(response.status, 403);
+  const { error } = await response.json();
+  assert.strictEqual(error.type, 'content_filter_error');
+  assert.strictEqual(error.code, 'content_violation');
+  assert.deepStrictEqual(imageRequests(since), []);
+});
+
+test('skips prompt moderation when IMAGES_MODERATION is false', async () => {
+  process.env.IMAGES_MODERATION = 'false';
+  try {
+    const since = gateway.upstream.requests.length;
+    const response = await generate({ prompt: `A ${FLAG_MARKER} scene` });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(moderationRequests(since), []);
+  } finally {
+    delete process.env.IMAGES_MODERATION;
+  }
+});
+
+test('skips prompt moderation for bypass keys', async () => {
+  const response = await generate({ prompt: `A ${FLAG_MARKER} scene` }, { key: KEYS.bypass });
+  assert.strictEqual(response.status, 200);
+});
+
+test('forwards supported generation parameters for the model', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await generate({
+    prompt: 'A lighthouse',
+    model: 'dall-e-3',
+    size: '1792x1024',
+    quality: 'hd',
+    style: 'natural',
+    response_format: 'b64_json',
+    user: 'user-1',
+    unknown: 'dropped'
+  });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(imageRequests(since)[0].body, {
+    prompt: 'A lighthouse',
+    model: 'dall-e-3',
+    size: '1792x1024',
+    quality: 'hd',
+    style: 'natural',
+    response_format: 'b64_json',
+    user: 'user-1'
+  });
+});
+
+test('rejects parameters the model does not support', async () => {
+  const cases = [
+    [{ model: 'dall-e-3', n: 2 }, 'n'],
+    [{ model: 'dall-e-2', size: '1792x1024' }, 'size'],
+    [{ model: 'dall-e-2', style: 'vivid' }, 'style'],
+    [{ model: 'dall-e-3', quality: 'low' }, 'quality'],
+    [{ model: 'gpt-image-1', response_format: 'url' }, 'response_format'],
+    [{ model: 'custom-image-model', size: 'big' }, 'size'],
+    [{ prompt: undefined }, 'prompt']
+  ];
+  for (const [params, param] of cases) {
+    const response = await generate({ prompt: 'A lighthouse', ...params });
+    assert.strictEqual(response.status, 400, JSON.stringify(params));
+    const { error } = await response.json();
+    assert.strictEqual(error.param, param);
+    assert.strictEqual(error.code, `invalid_${param}`);
+  }
+
+  const response = await generate({ prompt: 'A lighthouse', model: 'custom-image-model', size: '640x480' });
+  assert.strictEqual(response.status, 200);
+});
+
+function imageForm(fields, files) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  for (const [name, data] of files) {
+    form.append(name, new Blob([data], { type: 'image/png' }), `${name.replace('[]', '')}.png`);
+  }
+  return form;
+}
+
+function upload(operation, form) {
+  return gateway.request(`/v1/images/${operation}`, { body: form });
+}
+
+test('proxies edits with the image and mask uploads', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await upload('edits', imageForm(
+    { prompt: 'Add a hat', n: '2', size: '512x512' },
+    [['image', 'image-bytes'], ['mask', 'mask-bytes']]
+  ));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).data.length, 2);
+
+  const [request] = imageRequests(since, 'edits');
+  assert.deepStrictEqual(request.body.fields, { prompt: 'Add a hat', n: '2', size: '512x512' });
+  assert.strictEqual(request.body.files.image.data.toString(), 'image-bytes');
+  assert.strictEqual(request.body.files.mask.data.toString(), 'mask-bytes');
+});
+
+test('forwards multiple images for gpt-image-1 edits', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await upload('edits', imageForm(
+    { prompt: 'Combine', model: 'gpt-image-1' },
+    [['image[]', 'first'], ['image[]', 'second']]
+  ));
+  assert.strictEqual(response.status, 200);
+  const [request] = imageRequests(since, 'edits');
+  assert.deepStrictEqual(request.body.files['image[]'].map(file => file.data.toString()), ['first', 'second']);
+});
+
+test('blocks flagged edit prompts without calling the image model', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await upload('edits', imageForm({ prompt: FLAG_MARKER }, [['image', 'image-bytes']]));
+  assert.strictEqual(response.status, 403);
+  assert.deepStrictEqual(imageRequests(since, 'edits'), []);
+});
+
+test('proxies variations of a single image', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await upload('variations', imageForm({ n: '3' }, [['image', 'image-bytes']]));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).data.length, 3);
+  assert.strictEqual(imageRequests(since, 'variations')[0].body.files.image.data.toString(), 'image-bytes');
+});
+
+test('validates image uploads', async () => {
+  const cases = [
+    ['edits', imageForm({ prompt: 'No image' }, []), 'image'],
+    ['edits', imageForm({ prompt: 'Edit', model: 'dall-e-3' }, [['image', 'image-bytes']]), 'model'],
+    ['variations', imageForm({}, [['image', 'a'], ['image', 'b']]), 'image'],
+    ['variations', imageForm({}, [['image', 'a'], ['mask', 'b']]), 'mask'],
+    ['variations', imageForm({ model: 'gpt-image-1' }, [['image', 'a']]), 'model']
+  ];
+  for (const [operation, form, param] of cases) {
+    const response = await upload(operation, form);
+    assert.strictEqual(response.status, 400, `${operation} ${param}`);
+    assert.strictEqual((await response.json()).error.code, `invalid_${param}`);
+  }
+});
@@ -0,0 +1,139 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+const { redact, loggerConfig } = require('../lib/logger');
+
+const SECRET_CONTENT = 'my confidential diary entry';
+
+let gateway;
+let lines = [];
+const original = { log: console.log, error: console.error };
+
+before(async () => {
+  // 收集日志行而不输出到测试报告
+  console.log = line => lines.push(line);
+  console.error = line => lines.push(line);
+  gateway = await startGateway({ LOG_LEVEL: 'debug' });
+});
+
+after(async () => {
+  await gateway.close();
+  Object.assign(console, original);
+});
+
+beforeEach(() => {
+  lines = [];
+});
+
+function entries() {
+  return lines.map(line => JSON.parse(line));
+}
+
+// 请求摘要在响应结束后输出，等待其出现
+async function requestSummary(id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const summary = entries().find(entry => entry.msg === 'request' && entry.request_id === id);
+    if (summary) {
+      return summary;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`no request summary for ${id}`);
+}
+
+function chat(content, headers = {}) {
+  return gateway.request('/v1/chat/completions', {
+    headers,
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content }] }
+  });
+}
+
+test('redacts secret fields, credentials in strings and content', () => {
+  const config = loggerConfig({});
+  const redacted = redact({
+    headers: { Authorization: 'Bearer sk-abcdefghijkl', 'X-Api-Key': 'abc' },
+    message: 'failed with key sk-abcdefghijkl',
+    messages: [{ role: 'user', content: 'hello' }, { role: 'user', content: [{ type: 'text', text: 'hi there' }] }],
+    image: { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+  }, config);
+
+  assert.deepStrictEqual(redacted, {
+    headers: { Authorization: '[redacted]', 'X-Api-Key': '[redacted]' },
+    message: 'failed with key [redacted]',
+    messages: [{ role: 'user', content: '[5 chars]' }, { role: 'user', content: [{ type: 'text', text: '[8 chars]' }] }],
+    image: { type: 'image_url', image_url: '[image]' }
+  });
+});
+
+test('keeps content when LOG_REDACT_CONTENT is false and redacts extra fields', () => {
+  const config = loggerConfig({ LOG_REDACT_CONTENT: 'false', LOG_REDACT_FIELDS: 'email, phone' });
+  assert.deepStrictEqual(
+    redact({ content: 'hello', email: 'a@example.com', Phone: '123', token: 'abc' }, config),
+    { content: 'hello', email: '[redacted]', Phone: '[redacted]', token: '[redacted]' }
+  );
+});
+
+test('never writes message content or keys to the request logs', async () => {
+  const response = await chat(SECRET_CONTENT);
+  assert.strictEqual(response.status, 200);
+  await response.arrayBuffer();
+  await requestSummary(response.headers.get('x-request-id'));
+
+  const text = lines.join('\n');
+  assert.ok(entries().some(entry => entry.msg === 'moderation request'));
+  for (const secret of [SECRET_CONTENT, KEYS.full, 'first-provider-key', 'second-provider-key']) {
+    assert.ok(!text.includes(secret), `log contains ${secret}`);
+  }
+});
+
+test('writes one summary line per request', async () => {
+  const response = await chat(FLAG_MARKER);
+  assert.strictEqual(response.status, 403);
+  await response.arrayBuffer();
+
+  const summary = await requestSummary(response.headers.get('x-request-id'));
+  assert.strictEqual(summary.level, 'info');
+  assert.strictEqual(summary.client, 'full');
+  assert.strictEqual(summary.method, 'POST');
+  assert.strictEqual(summary.route, '/v1/chat/completions');
+  assert.strictEqual(summary.model, 'gpt-4o-mini');
+  assert.strictEqual(summary.status, 403);
+  assert.strictEqual(summary.moderation, 'flagged');
+  assert.deepStrictEqual(summary.categories, ['violence']);
+  assert.strictEqual(summary.error, 'content_violation');
+  assert.strictEqual(typeof summary.latency_ms, 'number');
+  assert.strictEqual(typeof summary.moderation_ms, 'number');
+  assert.strictEqual(entries().filter(entry => entry.msg === 'request').length, 1);
+});
+
+test('echoes the client x-request-id and forwards it upstream', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await chat('Hi', { 'X-Request-Id': 'client-trace.42' });
+  assert.strictEqual(response.headers.get('x-request-id'), 'client-trace.42');
+  await response.arrayBuffer();
+
+  const upstream = gateway.upstream.requests.slice(since);
+  assert.strictEqual(upstream.length, 2);
+  assert.ok(upstream.every(request => request.headers['x-request-id'] === 'client-trace.42'));
+  assert.strictEqual((await requestSummary('client-trace.42')).status, 200);
+});
+
+test('replaces malformed request ids', async () => {
+  const response = await chat('Hi', { 'X-Request-Id': 'not valid!' });
+  const id = response.headers.get('x-request-id');
+  assert.notStrictEqual(id, 'not valid!');
+  assert.match(id, /^[0-9a-f-]{36}$/);
+});
+
+test('filters lines below LOG_LEVEL', async () => {
+  process.env.LOG_LEVEL = 'warn';
+  try {
+    const response = await chat('Hi');
+    await response.arrayBuffer();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(lines, []);
+  } finally {
+    process.env.LOG_LEVEL = 'debug';
+  }
+});
@@ -0,0 +1,191 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER, SLOW_MARKER } = require('./helpers/mock-upstream');
+const { toChatRequest } = require('../lib/anthropic');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function messages(body, options = {}) {
+  return gateway.request('/v1/messages', {
+    key: null,
+    headers: { 'x-api-key': KEYS.full, 'anthropic-version': '2023-06-01' },
+    body: { model: 'gpt-4o-mini', max_tokens: 100, ...body },
+    ...options
+  });
+}
+
+// 解析 Anthropic SSE 响应为 [{ event, data }]
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+test('translates system prompts, tool use and tool results', () => {
+  const request = toChatRequest({
+    model: 'm',
+    max_tokens: 10,
+    system: [{ type: 'text', text: 'Be brief.' }],
+    stop_sequences: ['END'],
+    tools: [{ name: 'weather', description: 'Weather', input_schema: { type: 'object' } }],
+    tool_choice: { type: 'any' },
+    messages: [
+      { role: 'user', content: 'Weather?' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'tu_1', name: 'weather', input: { city: 'Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tu_1', content: 'Sunny' }, { type: 'text', text: 'Thanks' }] }
+    ]
+  });
+
+  assert.deepStrictEqual(request.messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Weather?' },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ id: 'tu_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'tu_1', content: 'Sunny' },
+    { role: 'user', content: 'Thanks' }
+  ]);
+  assert.deepStrictEqual(request.stop, ['END']);
+  assert.strictEqual(request.tool_choice, 'required');
+  assert.deepStrictEqual(request.tools[0].function.parameters, { type: 'object' });
+});
+
+test('returns an Anthropic message with usage and stop reason', async () => {
+  const response = await messages({ system: 'Be brief.', messages: [{ role: 'user', content: 'hello' }] });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.type, 'message');
+  assert.strictEqual(body.role, 'assistant');
+  assert.strictEqual(body.model, 'gpt-4o-mini');
+  assert.deepStrictEqual(body.content, [{ type: 'text', text: 'Hello from mock' }]);
+  assert.strictEqual(body.stop_reason, 'end_turn');
+  assert.deepStrictEqual(body.usage, { input_tokens: 10, output_tokens: 5 });
+
+  const upstream = gateway.upstream.requests[gateway.upstream.requests.length - 1];
+  assert.strictEqual(upstream.body.messages[0].role, 'system');
+  assert.strictEqual(upstream.body.max_tokens, 100);
+});
+
+test('returns tool_use blocks for tool calls', async () => {
+  const response = await messages({
+    tools: [{ name: 'weather', input_schema: { type: 'object' } }],
+    tool_choice: { type: 'any' },
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+  });
+  const body = await response.json();
+  assert.strictEqual(body.stop_reason, 'tool_use');
+  assert.deepStrictEqual(body.content, [{ type: 'tool_use', id: 'call_mock', name: 'weather', input: { city: 'Paris' } }]);
+});
+
+test('reports errors in the Anthropic format', async () => {
+  let response = await messages({ messages: [] });
+  assert.strictEqual(response.status, 400);
+  let body = await response.json();
+  assert.strictEqual(body.type, 'error');
+  assert.strictEqual(body.error.type, 'invalid_request_error');
+
+  response = await messages({ messages: [{ role: 'user', content: 'hi' }] }, { headers: { 'x-api-key': 'sk-wrong' } });
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).error.type, 'authentication_error');
+});
+
+test('blocks flagged input through the shared moderation step', async () => {
+  const response = await messages({ messages: [{ role: 'user', content: [{ type: 'text', text: FLAG_MARKER }] }] });
+  assert.strictEqual(response.status, 403);
+  const body = await response.json();
+  assert.strictEqual(body.error.type, 'permission_error');
+  assert.match(body.error.message, /violence/);
+});
+
+test('streams Anthropic events', async () => {
+  const response = await messages({ stream: true, messages: [{ role: 'user', content: 'hello' }] });
+  assert.strictEqual(response.status, 200);
+  const events = parseEvents(await response.text());
+
+  assert.deepStrictEqual(events.map(event => event.event), [
+    'message_start',
+    'content_block_start',
+    'content_block_delta',
+    'content_block_delta',
+    'content_block_delta',
+    'content_block_stop',
+    'message_delta',
+    'message_stop'
+  ]);
+  const text = events
+    .filter(event => event.event === 'content_block_delta')
+    .map(event => event.data.delta.text)
+    .join('');
+  assert.strictEqual(text, 'Hello from mock');
+  const delta = events[events.length - 2].data;
+  assert.strictEqual(delta.delta.stop_reason, 'end_turn');
+  assert.deepStrictEqual(delta.usage, { input_tokens: 10, output_tokens: 3 });
+});
+
+test('streams tool use as input_json_delta events', async () => {
+  const response = await messages({
+    stream: true,
+    tools: [{ name: 'weather', input_schema: { type: 'object' } }],
+    tool_choice: { type: 'any' },
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+  });
+  const events = parseEvents(await response.text());
+  const start = events.find(event => event.event === 'content_block_start');
+  assert.deepStrictEqual(start.data.content_block, { type: 'tool_use', id: 'call_mock', name: 'weather', input: {} });
+  const json = events
+    .filter(event => event.event === 'content_block_delta')
+    .map(event => event.data.delta.partial_json)
+    .join('');
+  assert.deepStrictEqual(JSON.parse(json), { city: 'Paris' });
+  assert.strictEqual(events[events.length - 2].data.delta.stop_reason, 'tool_use');
+});
+
+test('rejects translated messages that fail chat validation', async () => {
+  const response = await messages({
+    messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'not-an-image' } }] }]
+  });
+  assert.strictEqual(response.status, 400);
+  const body = await response.json();
+  assert.strictEqual(body.error.type, 'invalid_request_error');
+  assert.match(body.error.message, /image_url/);
+});
+
+test('moderates the system prompt', async () => {
+  const response = await messages({ system: FLAG_MARKER, messages: [{ role: 'user', content: 'hello' }] });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.type, 'permission_error');
+});
+
+test('returns a JSON error when a streamed request is blocked before output starts', async () => {
+  const response = await messages({ stream: true, messages: [{ role: 'user', content: FLAG_MARKER }] });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.type, 'permission_error');
+});
+
+test('sends heartbeats while input moderation runs and reports a later block in the stream', async () => {
+  process.env.STREAM_HEARTBEAT_INTERVAL = '10';
+  try {
+    const response = await messages({ stream: true, messages: [{ role: 'user', content: `${SLOW_MARKER} ${FLAG_MARKER}` }] });
+    assert.strictEqual(response.status, 200);
+    const text = await response.text();
+    assert.match(text, /^: ping\n\n/);
+    assert.match(text, /event: error\ndata: .*"type":"permission_error"/);
+  } finally {
+    delete process.env.STREAM_HEARTBEAT_INTERVAL;
+  }
+});
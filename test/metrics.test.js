@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+
+const METRICS_TOKEN = 'metrics-test-token';
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({ METRICS_TOKEN });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+async function scrape() {
+  const response = await gateway.request('/metrics', { method: 'GET', key: METRICS_TOKEN });
+  assert.strictEqual(response.status, 200);
+  return response.text();
+}
+
+test('labels requests by route pattern and authorized model', async () => {
+  await gateway.request('/v1/chat/completions?trace=1', {
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  await gateway.request('/admin/audit/audit_123', { method: 'GET', key: null });
+
+  const text = await scrape();
+  assert.match(text, /gateway_requests_total\{model="gpt-4o-mini",route="\/v1\/chat\/completions",status="200"\} 1/);
+  assert.match(text, /route="\/admin\/audit\/\(\[\\\\w-\]\+\)"/);
+  assert.doesNotMatch(text, /trace=1|audit_123/);
+});
+
+test('labels usage and stream metrics with the authorized model', async () => {
+  await gateway.request('/v1/chat/completions', {
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  const stream = await gateway.request('/v1/chat/completions', {
+    body: { model: 'gpt-4o-mini', stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  await stream.text();
+  await gateway.request('/v1/embeddings', { body: { model: 'text-embedding-3-small', input: 'Hi' } });
+
+  const text = await scrape();
+  assert.match(text, /gateway_tokens_total\{direction="out",model="gpt-4o-mini"\} \d+/);
+  assert.match(text, /gateway_tokens_total\{direction="in",model="text-embedding-3-small"\} \d+/);
+  assert.match(text, /gateway_stream_ttfb_seconds_count\{model="gpt-4o-mini"\} 1/);
+  assert.doesNotMatch(text, /gateway_tokens_total\{[^}]*model=""/);
+});
+
+test('does not use rejected models as labels', async () => {
+  const response = await gateway.request('/v1/chat/completions', {
+    key: KEYS.limited,
+    body: { model: 'made-up-model-123', messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  assert.strictEqual(response.status, 403);
+
+  const text = await scrape();
+  assert.match(text, /gateway_requests_total\{model="other",route="\/v1\/chat\/completions",status="403"\} 1/);
+  assert.doesNotMatch(text, /made-up-model-123/);
+});
@@ -0,0 +1,90 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { FLAG_MARKER, startMockUpstream } = require('./helpers/mock-upstream');
+const { defaultPolicy } = require('../lib/policies');
+const { MemoryStore } = require('../lib/store');
+const { CATEGORIES, moderateMessages, setVerdictStore } = require('../lib/moderation');
+
+let upstream;
+let req;
+
+before(async () => {
+  upstream = await startMockUpstream();
+  Object.assign(process.env, {
+    LOG_LEVEL: 'silent',
+    MODERATION_CACHE: 'true',
+    MODERATION_CHUNK_CHARS: '100',
+    MODERATION_CHUNK_OVERLAP: '10'
+  });
+});
+
+after(async () => {
+  await upstream.close();
+});
+
+beforeEach(() => {
+  setVerdictStore(new MemoryStore());
+  req = {
+    policy: { ...defaultPolicy(), visionModel: 'vision-model' },
+    config: { firstProvider: { url: upstream.url, key: 'first-provider-key', model: 'moderation-model' } }
+  };
+});
+
+function moderationRequests() {
+  return upstream.requests.filter(request => request.body.response_format);
+}
+
+test('splits long text parts of multi-part content like string content', async () => {
+  const count = moderationRequests().length;
+  const message = {
+    role: 'user',
+    content: [
+      { type: 'text', text: 'x'.repeat(250) },
+      { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }
+    ]
+  };
+  await moderateMessages(req, [message], true);
+
+  const sent = moderationRequests().slice(count).flatMap(request => request.body.messages.slice(1, -1));
+  const texts = sent.flatMap(item => (typeof item.content === 'string'
+    ? [item.content]
+    : item.content.filter(part => part.type === 'text').map(part => part.text)));
+  assert.deepStrictEqual(texts.map(text => text.length), [100, 100, 70]);
+  assert.ok(sent.some(item => Array.isArray(item.content) && item.content[0].type === 'image_url'));
+});
+
+test('keys cached verdicts by the enforced categories', async () => {
+  const messages = [{ role: 'user', content: 'cached hello' }];
+  await moderateMessages(req, messages);
+  const count = moderationRequests().length;
+
+  // 分类相同（顺序不同）时命中缓存
+  req.policy = { ...req.policy, categories: [...CATEGORIES].reverse() };
+  await moderateMessages(req, messages);
+  assert.strictEqual(moderationRequests().length, count);
+
+  // 审核分类变化后重新审核
+  req.policy = { ...req.policy, categories: ['violence'] };
+  await moderateMessages(req, messages);
+  assert.strictEqual(moderationRequests().length, count + 1);
+});
+
+test('only sends messages without a cached verdict', async () => {
+  const history = [{ role: 'user', content: 'first turn' }, { role: 'assistant', content: 'first answer' }];
+  await moderateMessages(req, history);
+  const count = moderationRequests().length;
+
+  await moderateMessages(req, [...history, { role: 'user', content: 'second turn' }]);
+  const sent = moderationRequests().slice(count);
+  assert.strictEqual(sent.length, 1);
+  assert.deepStrictEqual(sent[0].body.messages.slice(1, -1), [{ role: 'user', content: 'second turn' }]);
+});
+
+test('blocks repeated flagged content from the cache', async () => {
+  const messages = [{ role: 'user', content: `cached ${FLAG_MARKER}` }];
+  assert.strictEqual((await moderateMessages(req, messages)).flagged, true);
+  const count = moderationRequests().length;
+
+  assert.strictEqual((await moderateMessages(req, messages)).flagged, true);
+  assert.strictEqual(moderationRequests().length, count);
+});
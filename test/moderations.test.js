@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function moderationRequests() {
+  return gateway.upstream.requests.filter(request => request.body.response_format);
+}
+
+function moderations(body, options = {}) {
+  return gateway.request('/v1/moderations', { body, ...options });
+}
+
+test('returns a moderation result for a string input', async () => {
+  const response = await moderations({ input: 'Hello there' });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.match(body.id, /^modr-[0-9a-f]{24}$/);
+  assert.strictEqual(body.model, 'moderation-model');
+  assert.strictEqual(body.results.length, 1);
+  assert.strictEqual(body.results[0].flagged, false);
+  assert.strictEqual(body.results[0].categories.violence, false);
+  assert.strictEqual(typeof body.results[0].category_scores.violence, 'number');
+});
+
+test('moderates each string of an array input separately', async () => {
+  const count = moderationRequests().length;
+  const response = await moderations({ input: ['first clean input', `second ${FLAG_MARKER}`] });
+  assert.strictEqual(response.status, 200);
+  const { results } = await response.json();
+  assert.deepStrictEqual(results.map(result => result.flagged), [false, true]);
+  assert.strictEqual(results[1].categories.violence, true);
+  assert.strictEqual(moderationRequests().length, count + 2);
+});
+
+test('moderates the text of content part inputs together', async () => {
+  const count = moderationRequests().length;
+  const response = await moderations({
+    input: [
+      { type: 'text', text: 'describe' },
+      { type: 'text', text: FLAG_MARKER },
+      { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }
+    ]
+  });
+  assert.strictEqual(response.status, 200);
+  const { results } = await response.json();
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].flagged, true);
+
+  // 未配置视觉审核模型时只审核文本
+  const [sent] = moderationRequests().slice(count);
+  assert.deepStrictEqual(sent.body.messages.slice(1, -1), [{ role: 'user', content: `describe\n${FLAG_MARKER}` }]);
+});
+
+test('does not call the generation model', async () => {
+  const count = gateway.upstream.requests.length;
+  await (await moderations({ input: 'only moderation' })).arrayBuffer();
+  assert.ok(gateway.upstream.requests.slice(count).every(request => request.body.response_format));
+});
+
+test('rejects missing or malformed input', async () => {
+  for (const input of [undefined, [], [1, 2], [{ type: 'audio' }]]) {
+    const response = await moderations({ input });
+    assert.strictEqual(response.status, 400, JSON.stringify(input));
+    assert.strictEqual((await response.json()).error.code, 'invalid_input');
+  }
+
+  const response = await moderations({ input: 'Hi', model: 42 });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_model');
+});
+
+test('requires a key allowed to use the moderations endpoint', async () => {
+  let response = await moderations({ input: 'Hi' }, { key: null });
+  assert.strictEqual(response.status, 401);
+
+  response = await moderations({ input: 'Hi' }, { key: KEYS.limited });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'endpoint_not_allowed');
+});
+
+test('only accepts POST', async () => {
+  const response = await gateway.request('/v1/moderations', { method: 'GET' });
+  assert.strictEqual(response.status, 405);
+});
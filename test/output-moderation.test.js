@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway, parseSse } = require('./helpers/gateway');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    OUTPUT_MODERATION: 'true',
+    OUTPUT_MODERATION_INTERVAL: '50',
+    OUTPUT_MODERATION_WINDOW: '200',
+    OUTPUT_MODERATION_OVERLAP: '20'
+  });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function outputModerationRequests() {
+  return gateway.upstream.requests.filter(request =>
+    request.body.response_format && request.body.messages.some(message => message.role === 'assistant'));
+}
+
+function finishReasons(events) {
+  return events
+    .filter(event => event !== '[DONE]' && event.choices)
+    .flatMap(event => event.choices.map(choice => choice.finish_reason))
+    .filter(Boolean);
+}
+
+test('passes clean streamed output through', async () => {
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'gpt-4o-mini', stream: true, messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  const events = parseSse(await response.text());
+  assert.deepStrictEqual(finishReasons(events), ['stop']);
+  assert.strictEqual(events[events.length - 1], '[DONE]');
+});
+
+test('moderates every window of a single chunk longer than the window', async () => {
+  const before = outputModerationRequests().length;
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'long-flagged-output', stream: true, messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  const events = parseSse(await response.text());
+
+  // 违规内容位于分片开头，只审核末尾窗口时会被漏掉
+  assert.ok(finishReasons(events).includes('content_filter'));
+  assert.ok(outputModerationRequests().length > before);
+});
+
+test('clears flagged non-streamed output', async () => {
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'long-flagged-output', messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  assert.strictEqual(response.status, 200);
+  const [choice] = (await response.json()).choices;
+  assert.strictEqual(choice.finish_reason, 'content_filter');
+  assert.strictEqual(choice.message.content, null);
+});
+
+test('checks the remaining streamed output when the stream ends', async () => {
+  const before = outputModerationRequests().length;
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'gpt-4o-mini', stream: true, messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  await response.text();
+
+  // 'Hello from mock' 不足一个间隔，只在流结束时审核一次
+  const checks = outputModerationRequests().slice(before);
+  assert.strictEqual(checks.length, 1);
+  assert.strictEqual(checks[0].body.messages[1].content, 'Hello from mock');
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+
+const KEYS = {
+  plain: 'sk-policy-plain',
+  strict: 'sk-policy-strict',
+  picker: 'sk-policy-picker',
+  any: 'sk-policy-any'
+};
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    AUTH_KEYS: JSON.stringify([
+      { name: 'plain', key: KEYS.plain },
+      { name: 'strict', key: KEYS.strict, policy: 'strict' },
+      { name: 'picker', key: KEYS.picker, policies: ['lenient'] },
+      { name: 'any', key: KEYS.any, policies: ['*'] }
+    ]),
+    MODERATION_POLICIES: JSON.stringify([
+      { name: 'strict', language: 'en', model: 'strict-moderator', categories: ['violence'] },
+      // 模拟上游只会判定 violence 违规
+      { name: 'lenient', categories: ['sexual'] },
+      { name: 'open', model: 'error-500', failMode: 'open' },
+      { name: 'closed', model: 'error-500', failMode: 'closed' },
+      { name: 'files', rejectUnmoderatedFiles: false }
+    ])
+  });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function moderationRequests(since) {
+  return gateway.upstream.requests.slice(since).filter(request => request.body.response_format);
+}
+
+function chat(key, content, policy) {
+  return gateway.request('/v1/chat/completions', {
+    key,
+    headers: policy ? { 'X-Moderation-Policy': policy } : {},
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content }] }
+  });
+}
+
+test('uses the default policy for keys without one', async () => {
+  const since = gateway.upstream.requests.length;
+  assert.strictEqual((await chat(KEYS.plain, 'Hi')).status, 200);
+  const [request] = moderationRequests(since);
+  assert.strictEqual(request.body.model, 'moderation-model');
+});
+
+test('uses the policy configured on the key', async () => {
+  const since = gateway.upstream.requests.length;
+  assert.strictEqual((await chat(KEYS.strict, 'Hi')).status, 200);
+  const [request] = moderationRequests(since);
+  assert.strictEqual(request.body.model, 'strict-moderator');
+  const prompt = request.body.messages[request.body.messages.length - 1].content;
+  assert.match(prompt, /Only the following categories are enforced: violence\./);
+});
+
+test('selects an allowed policy by header', async () => {
+  // lenient 不审核 violence，同样的内容在默认策略下会被拦截
+  assert.strictEqual((await chat(KEYS.picker, FLAG_MARKER)).status, 403);
+  assert.strictEqual((await chat(KEYS.picker, FLAG_MARKER, 'lenient')).status, 200);
+});
+
+test('accepts the key policy named in the header', async () => {
+  assert.strictEqual((await chat(KEYS.strict, 'Hi', 'strict')).status, 200);
+});
+
+test('rejects policies the key may not select', async () => {
+  const response = await chat(KEYS.picker, 'Hi', 'strict');
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'policy_not_allowed');
+});
+
+test('rejects unknown policies', async () => {
+  const response = await chat(KEYS.any, 'Hi', 'missing');
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_moderation_policy');
+});
+
+test('allows requests when moderation fails under a fail-open policy', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await chat(KEYS.any, FLAG_MARKER, 'open');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).choices[0].message.content, 'Hello from mock');
+  assert.ok(gateway.upstream.requests.slice(since).some(request => !request.body.response_format));
+});
+
+test('rejects requests when moderation fails under a fail-closed policy', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await chat(KEYS.any, 'Hi', 'closed');
+  assert.strictEqual(response.status, 500);
+  assert.ok(gateway.upstream.requests.slice(since).every(request => request.body.response_format));
+});
+
+test('lets policies allow audio and file parts without moderation', async () => {
+  const content = [
+    { type: 'text', text: 'Transcribe this' },
+    { type: 'input_audio', input_audio: { data: 'AAAA', format: 'wav' } }
+  ];
+  let response = await chat(KEYS.any, content);
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'unmoderated_content');
+
+  response = await chat(KEYS.any, content, 'files');
+  assert.strictEqual(response.status, 200);
+});
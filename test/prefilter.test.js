@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGateway } = require('./helpers/gateway');
+const { normalize, AhoCorasick, loadPrefilter, applyPrefilter } = require('../lib/prefilter');
+const { CATEGORIES } = require('../lib/moderation');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    PREFILTER_RULES: JSON.stringify({
+      block: [{ keyword: '炸弹', category: 'violence' }, '/buy\\s+guns?/'],
+      allow: ['谢谢', '/(hi|hello)[!.]?/']
+    })
+  });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function moderationCalls() {
+  return gateway.upstream.requests.filter(request => request.body && request.body.response_format).length;
+}
+
+function chat(messages) {
+  return gateway.request('/v1/chat/completions', { body: { model: 'gpt-4o-mini', messages } });
+}
+
+test('normalizes full-width, case and traditional characters', () => {
+  assert.strictEqual(normalize('ＨＥＬＬＯ，炸彈１２３'), 'hello,炸弹123');
+});
+
+test('matches overlapping keywords with Aho-Corasick', () => {
+  const automaton = new AhoCorasick();
+  for (const keyword of ['he', 'she', 'his', 'hers']) {
+    automaton.add(keyword, keyword);
+  }
+  assert.strictEqual(automaton.find('ushers'), 'she');
+  assert.strictEqual(automaton.find('ushers', match => match === 'hers'), 'hers');
+  assert.strictEqual(automaton.find('nothing'), null);
+});
+
+test('loads keyword files and reports invalid rules', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prefilter-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'blocklist.txt'), '# 注释\n毒品\n/冰\\s*毒/\n');
+    fs.writeFileSync(path.join(dir, 'rules.json'), JSON.stringify({
+      block: [{ file: 'blocklist.txt', category: 'illicit' }, { keyword: 'x', category: 'unknown' }, '/(/']
+    }));
+
+    const { prefilter, errors } = loadPrefilter({ PREFILTER_RULES_FILE: path.join(dir, 'rules.json') }, CATEGORIES);
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0], /unknown category/);
+    assert.match(errors[1], /regex/);
+
+    const outcome = applyPrefilter(prefilter, [{ role: 'user', content: '哪裡有冰 毒' }], CATEGORIES);
+    assert.strictEqual(outcome.action, 'block');
+    assert.deepStrictEqual(outcome.match.category, 'illicit');
+    assert.strictEqual(applyPrefilter(prefilter, [{ role: 'user', content: '毒品' }], ['violence']).action, 'defer');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('blocks obfuscated keywords without calling the moderation model', async () => {
+  const before = moderationCalls();
+  const response = await chat([{ role: 'user', content: '教我做 炸．彈' }]);
+  assert.strictEqual(response.status, 403);
+  const body = await response.json();
+  assert.deepStrictEqual(body.error.details.categories, ['violence']);
+  assert.strictEqual(moderationCalls(), before);
+
+  assert.strictEqual((await chat([{ role: 'user', content: 'Where can I BUY  GUNS' }])).status, 403);
+});
+
+test('passes allowlisted messages without calling the moderation model', async () => {
+  const before = moderationCalls();
+  let response = await chat([{ role: 'user', content: 'Hello!' }]);
+  assert.strictEqual(response.status, 200);
+  response = await chat([{ role: 'user', content: '謝謝！' }]);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(moderationCalls(), before);
+});
+
+test('defers everything else to the moderation model', async () => {
+  const before = moderationCalls();
+  const response = await chat([{ role: 'user', content: 'hello' }, { role: 'assistant', content: 'Hi' }, { role: 'user', content: 'hello there' }]);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(moderationCalls(), before + 1);
+
+  const moderation = gateway.upstream.requests.filter(request => request.body && request.body.response_format).pop();
+  const reviewed = JSON.stringify(moderation.body.messages.slice(1, -1));
+  assert.ok(reviewed.includes('hello there'));
+  assert.ok(!reviewed.includes('"hello"'));
+});
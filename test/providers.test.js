@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { KEYS, startGateway, parseSse } = require('./helpers/gateway');
+const { withFailover } = require('../lib/providers');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway(url => ({
+    PROVIDERS: JSON.stringify([
+      // 'failover-model' 在第一个运营商上改写为会返回 500 的模型
+      { name: 'primary', url, key: 'primary-key', models: ['gpt-4o-mini'], rewrite: { 'failover-model': 'error-500' } },
+      { name: 'backup', url, key: 'backup-key', priority: 1, rewrite: { 'failover-model': 'gpt-4o-mini' } },
+      { name: 'offline', url: 'http://127.0.0.1:1', key: 'offline-key', models: ['offline-*'], priority: 2 }
+    ])
+  }));
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function generationModels(since) {
+  return gateway.upstream.requests
+    .slice(since)
+    .filter(request => request.url === '/v1/chat/completions' && !request.body.response_format)
+    .map(request => request.body.model);
+}
+
+test('fails over to the next provider on upstream 5xx', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'failover-model', messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).choices[0].message.content, 'Hello from mock');
+  assert.deepStrictEqual(generationModels(since), ['error-500', 'gpt-4o-mini']);
+});
+
+test('fails over streamed requests', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'failover-model', stream: true, messages: [{ role: 'user', content: 'Hi' }] }
+  });
+  const events = parseSse(await response.text());
+  assert.strictEqual(events.filter(event => event.choices).map(event => event.choices[0].delta.content || '').join(''), 'Hello from mock');
+  assert.deepStrictEqual(generationModels(since), ['error-500', 'gpt-4o-mini']);
+});
+
+test('releases the body of a failed streamed attempt', async () => {
+  const failed = new PassThrough();
+  const error = Object.assign(new Error('Request failed with status code 500'), {
+    response: { status: 500, data: failed }
+  });
+  const providers = [
+    { name: 'a', models: ['*'], rewrite: {} },
+    { name: 'b', models: ['*'], rewrite: {} }
+  ];
+
+  const response = await withFailover({}, providers, 'm', async provider => {
+    if (provider.name === 'a') {
+      throw error;
+    }
+    return { data: 'ok' };
+  });
+  assert.strictEqual(response.data, 'ok');
+  assert.strictEqual(failed.destroyed, true);
+});
+
+test('merges model lists across providers', async () => {
+  const response = await gateway.request('/v1/models', { method: 'GET' });
+  assert.strictEqual(response.status, 200);
+  const ids = (await response.json()).data.map(model => model.id);
+
+  // primary 只暴露 gpt-4o-mini 和别名，backup 补充 gpt-4o；离线的运营商被忽略
+  assert.deepStrictEqual(ids.sort(), ['failover-model', 'gpt-4o', 'gpt-4o-mini']);
+});
+
+test('filters the merged list by the key', async () => {
+  const response = await gateway.request('/v1/models', { method: 'GET', key: KEYS.limited });
+  assert.deepStrictEqual((await response.json()).data.map(model => model.id), ['gpt-4o-mini']);
+});
@@ -0,0 +1,90 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { KEYS, startGateway } = require('./helpers/gateway');
+const { MemoryStore } = require('../lib/store');
+const { setStore } = require('../lib/ratelimit');
+
+const METERED_KEY = 'sk-test-metered';
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    AUTH_KEYS: JSON.stringify([
+      { name: 'full', key: KEYS.full },
+      { name: 'bypass', key: KEYS.bypass, bypassModeration: true },
+      { name: 'metered', key: METERED_KEY, rateLimit: { requestsPerMinute: 1 } }
+    ])
+  });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+afterEach(() => {
+  delete process.env.RATE_LIMIT_RPM;
+  delete process.env.RATE_LIMIT_TPD;
+});
+
+function chat(key = KEYS.full) {
+  return gateway.request('/v1/chat/completions', {
+    key,
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] }
+  });
+}
+
+test('limits requests per minute for each key', async () => {
+  process.env.RATE_LIMIT_RPM = '2';
+
+  let response = await chat();
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('x-ratelimit-limit-requests'), '2');
+  assert.strictEqual(response.headers.get('x-ratelimit-remaining-requests'), '1');
+  assert.strictEqual((await chat()).status, 200);
+
+  response = await chat();
+  assert.strictEqual(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) >= 1);
+  const { error } = await response.json();
+  assert.strictEqual(error.code, 'rate_limit_exceeded');
+  assert.strictEqual(error.type, 'requests');
+
+  // 其他密钥单独计数
+  assert.strictEqual((await chat(KEYS.bypass)).status, 200);
+});
+
+test('prefers limits configured on the key', async () => {
+  process.env.RATE_LIMIT_RPM = '100';
+
+  assert.strictEqual((await chat(METERED_KEY)).status, 200);
+  assert.strictEqual((await chat(METERED_KEY)).status, 429);
+});
+
+test('rejects requests once the daily token budget is used', async () => {
+  // 模拟上游每次返回 15 个 token
+  process.env.RATE_LIMIT_TPD = '20';
+
+  let response = await chat();
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('x-ratelimit-remaining-tokens'), '20');
+  response = await chat();
+  assert.strictEqual(response.headers.get('x-ratelimit-remaining-tokens'), '5');
+
+  response = await chat();
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual((await response.json()).error.type, 'tokens');
+});
+
+test('lets requests through when the store is unavailable', async () => {
+  process.env.RATE_LIMIT_RPM = '1';
+  const failing = () => Promise.reject(new Error('store down'));
+  setStore({ get: failing, set: failing, increment: failing });
+
+  assert.strictEqual((await chat()).status, 200);
+  assert.strictEqual((await chat()).status, 200);
+});
@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+const { toChatRequest } = require('../lib/responses');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function responses(body) {
+  return gateway.request('/v1/responses', { body: { model: 'gpt-4o-mini', ...body } });
+}
+
+// 解析 Responses API 事件流为 [{ event, data }]
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+test('maps input items, instructions and tools to a chat request', () => {
+  const request = toChatRequest({
+    model: 'm',
+    instructions: 'Be brief.',
+    max_output_tokens: 50,
+    tools: [{ type: 'function', name: 'weather', parameters: { type: 'object' } }],
+    tool_choice: { type: 'function', name: 'weather' },
+    text: { format: { type: 'json_schema', name: 'out', schema: { type: 'object' } } },
+    input: [
+      { role: 'developer', content: 'Use metric units.' },
+      { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Weather?' }, { type: 'input_image', image_url: 'https://example.com/a.png' }] },
+      { type: 'function_call', call_id: 'call_1', name: 'weather', arguments: '{"city":"Paris"}' },
+      { type: 'function_call_output', call_id: 'call_1', output: 'Sunny' }
+    ]
+  });
+
+  assert.deepStrictEqual(request.messages, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'developer', content: 'Use metric units.' },
+    {
+      role: 'user',
+      content: [{ type: 'text', text: 'Weather?' }, { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }]
+    },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' }
+  ]);
+  assert.strictEqual(request.max_tokens, 50);
+  assert.deepStrictEqual(request.tool_choice, { type: 'function', function: { name: 'weather' } });
+  assert.strictEqual(request.response_format.type, 'json_schema');
+  assert.strictEqual(request.response_format.json_schema.name, 'out');
+});
+
+test('returns a response object with output text and usage', async () => {
+  const response = await responses({ input: 'hello' });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.object, 'response');
+  assert.match(body.id, /^resp_/);
+  assert.strictEqual(body.status, 'completed');
+  assert.strictEqual(body.output[0].type, 'message');
+  assert.deepStrictEqual(body.output[0].content, [{ type: 'output_text', text: 'Hello from mock', annotations: [] }]);
+  assert.deepStrictEqual(
+    { input: body.usage.input_tokens, output: body.usage.output_tokens, total: body.usage.total_tokens },
+    { input: 10, output: 5, total: 15 }
+  );
+});
+
+test('returns function_call output items', async () => {
+  const response = await responses({
+    input: 'Weather in Paris?',
+    tools: [{ type: 'function', name: 'weather', parameters: { type: 'object' } }],
+    tool_choice: 'required'
+  });
+  const body = await response.json();
+  assert.strictEqual(body.output[0].type, 'function_call');
+  assert.strictEqual(body.output[0].call_id, 'call_mock');
+  assert.strictEqual(body.output[0].name, 'weather');
+  assert.deepStrictEqual(JSON.parse(body.output[0].arguments), { city: 'Paris' });
+});
+
+test('rejects previous_response_id and blocks flagged input', async () => {
+  let response = await responses({ input: 'hi', previous_response_id: 'resp_1' });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.param, 'previous_response_id');
+
+  response = await responses({ input: [{ role: 'user', content: [{ type: 'input_text', text: FLAG_MARKER }] }] });
+  assert.strictEqual(response.status, 403);
+
+  response = await responses({ input: FLAG_MARKER, stream: true });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'content_violation');
+});
+
+test('rejects translated input that fails chat validation', async () => {
+  const response = await responses({
+    input: [{ role: 'user', content: [{ type: 'input_image', image_url: 'not-an-image' }] }]
+  });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_message_format');
+});
+
+test('moderates instructions', async () => {
+  const response = await responses({ instructions: FLAG_MARKER, input: 'hi' });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'content_violation');
+});
+
+test('streams Responses API events', async () => {
+  const response = await responses({ input: 'hello', stream: true });
+  assert.strictEqual(response.status, 200);
+  const text = await response.text();
+  assert.ok(!text.includes('[DONE]'));
+  const events = parseEvents(text);
+
+  assert.deepStrictEqual(events.map(event => event.event), [
+    'response.created',
+    'response.in_progress',
+    'response.output_item.added',
+    'response.content_part.added',
+    'response.output_text.delta',
+    'response.output_text.delta',
+    'response.output_text.delta',
+    'response.output_text.done',
+    'response.content_part.done',
+    'response.output_item.done',
+    'response.completed'
+  ]);
+  assert.deepStrictEqual(events.map(event => event.data.sequence_number), events.map((event, index) => index));
+  assert.strictEqual(events[7].data.text, 'Hello from mock');
+  const completed = events[events.length - 1].data.response;
+  assert.strictEqual(completed.status, 'completed');
+  assert.strictEqual(completed.output[0].content[0].text, 'Hello from mock');
+  assert.strictEqual(completed.usage.output_tokens, 3);
+});
+
+test('streams function call arguments', async () => {
+  const response = await responses({
+    input: 'Weather in Paris?',
+    stream: true,
+    tools: [{ type: 'function', name: 'weather', parameters: { type: 'object' } }],
+    tool_choice: 'required'
+  });
+  const events = parseEvents(await response.text());
+  const added = events.find(event => event.event === 'response.output_item.added');
+  assert.strictEqual(added.data.item.type, 'function_call');
+  assert.strictEqual(added.data.item.name, 'weather');
+  const done = events.find(event => event.event === 'response.function_call_arguments.done');
+  assert.deepStrictEqual(JSON.parse(done.data.arguments), { city: 'Paris' });
+});
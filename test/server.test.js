@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadRoutes, resolveRoute, parseBody } = require('../lib/server');
+const { startGateway } = require('./helpers/gateway');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({ MAX_BODY_BYTES: '1024' });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+test('routes requests the same way as vercel.json', () => {
+  const routes = loadRoutes();
+  assert.strictEqual(resolveRoute(routes, '/v1/chat/completions'), '/api/completions');
+  assert.strictEqual(resolveRoute(routes, '/v1/audio/transcriptions'), '/api/audio');
+  assert.strictEqual(resolveRoute(routes, '/api/models'), '/api/models');
+  assert.strictEqual(resolveRoute(routes, '/admin/audit/export'), '/api/audit?action=export');
+  assert.strictEqual(resolveRoute(routes, '/admin/audit/audit_1'), '/api/audit?id=audit_1');
+  assert.strictEqual(resolveRoute(routes, '/v1/unknown'), null);
+});
+
+test('parses bodies like Vercel', () => {
+  assert.deepStrictEqual(parseBody(Buffer.from('{"a":1}'), 'application/json; charset=utf-8'), { a: 1 });
+  assert.strictEqual(parseBody(Buffer.from('{oops'), 'application/json'), '{oops');
+  assert.strictEqual(parseBody(Buffer.from('hi'), 'text/plain'), 'hi');
+  assert.ok(Buffer.isBuffer(parseBody(Buffer.from('raw'), 'application/octet-stream')));
+  assert.strictEqual(parseBody(Buffer.alloc(0), 'application/json'), undefined);
+});
+
+test('returns 404 for unknown routes', async () => {
+  const response = await gateway.request('/v1/unknown', { method: 'GET' });
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual((await response.json()).error.code, 'not_found');
+});
+
+test('returns 413 when the body exceeds the limit', async () => {
+  const response = await gateway.request('/v1/chat/completions', {
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'x'.repeat(2048) }] }
+  });
+  assert.strictEqual(response.status, 413);
+  assert.strictEqual((await response.json()).error.code, 'request_too_large');
+});
+
+test('rejects invalid JSON bodies', async () => {
+  const response = await gateway.request('/v1/chat/completions', { body: '{not json' });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_body');
+});
+
+test('echoes x-request-id and forwards it upstream', async () => {
+  const response = await gateway.request('/v1/chat/completions', {
+    headers: { 'X-Request-Id': 'test-correlation-id' },
+    body: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('x-request-id'), 'test-correlation-id');
+  const forwarded = gateway.upstream.requests.filter(request => request.headers['x-request-id'] === 'test-correlation-id');
+  assert.strictEqual(forwarded.length, 2);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway, parseSse } = require('./helpers/gateway');
+const { FLAG_MARKER, SLOW_MARKER, SLOW_OUTPUT_MODEL } = require('./helpers/mock-upstream');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({ SPECULATIVE_GENERATION: 'true' });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+// 发送请求并返回响应与本次的上游生成请求
+async function send(body) {
+  const count = gateway.upstream.requests.length;
+  const response = await gateway.request('/v1/chat/completions', { body: { model: SLOW_OUTPUT_MODEL, ...body } });
+  const text = await response.text();
+  const generation = gateway.upstream.requests
+    .slice(count)
+    .find(request => request.url === '/v1/chat/completions' && !request.body.response_format);
+  return { response, text, generation };
+}
+
+// 上游在连接关闭后才记录 aborted，等待其状态稳定
+async function waitForAbort(request, timeout = 1000) {
+  const deadline = Date.now() + timeout;
+  while (!request.aborted && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return Boolean(request.aborted);
+}
+
+function streamedContent(text) {
+  return parseSse(text)
+    .filter(event => event !== '[DONE]' && event.choices)
+    .map(event => event.choices[0].delta.content || '')
+    .join('');
+}
+
+test('returns speculative completions once moderation passes', async () => {
+  const { response, text, generation } = await send({ messages: [{ role: 'user', content: 'Hi' }] });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(JSON.parse(text).choices[0].message.content, 'Hello from mock');
+  assert.ok(generation);
+  assert.strictEqual(generation.aborted, undefined);
+});
+
+test('aborts the upstream request when moderation blocks a completion', async () => {
+  const { response, text, generation } = await send({ messages: [{ role: 'user', content: FLAG_MARKER }] });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(JSON.parse(text).error.code, 'content_violation');
+  assert.ok(generation, 'generation should start before moderation finishes');
+  assert.strictEqual(await waitForAbort(generation), true);
+});
+
+test('flushes chunks buffered during moderation once it passes', async () => {
+  // 审核延迟期间上游已返回第一个分片
+  const { response, text, generation } = await send({
+    stream: true, messages: [{ role: 'user', content: SLOW_MARKER }]
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(streamedContent(text), 'Hello from mock');
+  assert.strictEqual(parseSse(text).pop(), '[DONE]');
+  assert.strictEqual(generation.aborted, undefined);
+});
+
+test('discards buffered chunks and aborts the upstream stream when moderation blocks', async () => {
+  const { response, text, generation } = await send({
+    stream: true, messages: [{ role: 'user', content: `${SLOW_MARKER} ${FLAG_MARKER}` }]
+  });
+  const events = parseSse(text);
+  // 心跳已发送响应头，拦截以流内错误事件返回
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(events[0].error.code, 'content_violation');
+  assert.strictEqual(streamedContent(text), '');
+  assert.doesNotMatch(text, /Hello/);
+  assert.strictEqual(await waitForAbort(generation), true);
+});
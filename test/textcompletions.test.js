@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway, parseSse } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+const { toChatRequest, convertLogprobs, DEFAULT_MAX_TOKENS } = require('../lib/textcompletions');
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway();
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function completions(body) {
+  return gateway.request('/v1/completions', { body: { model: 'gpt-4o-mini', ...body } });
+}
+
+test('maps a legacy prompt to a chat request', () => {
+  const request = toChatRequest({ model: 'm', prompt: 'Say hi', logprobs: 2, stop: ['\n'] }, 'Say hi');
+  assert.deepStrictEqual(request.messages, [{ role: 'user', content: 'Say hi' }]);
+  assert.strictEqual(request.max_tokens, DEFAULT_MAX_TOKENS);
+  assert.strictEqual(request.logprobs, true);
+  assert.strictEqual(request.top_logprobs, 2);
+  assert.deepStrictEqual(request.stop, ['\n']);
+});
+
+test('converts chat logprobs to the legacy layout', () => {
+  const logprobs = convertLogprobs({
+    content: [
+      { token: 'Hi', logprob: -0.1, top_logprobs: [{ token: 'Hi', logprob: -0.1 }] },
+      { token: '!', logprob: -0.5, top_logprobs: [] }
+    ]
+  }, 3);
+  assert.deepStrictEqual(logprobs, {
+    tokens: ['Hi', '!'],
+    token_logprobs: [-0.1, -0.5],
+    top_logprobs: [{ Hi: -0.1 }, {}],
+    text_offset: [3, 5]
+  });
+});
+
+test('returns a text_completion object', async () => {
+  const response = await completions({ prompt: 'hello', echo: true });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.object, 'text_completion');
+  assert.match(body.id, /^cmpl-/);
+  assert.strictEqual(body.choices[0].text, 'helloHello from mock');
+  assert.strictEqual(body.choices[0].finish_reason, 'stop');
+  assert.strictEqual(body.usage.total_tokens, 15);
+
+  const upstream = gateway.upstream.requests[gateway.upstream.requests.length - 1];
+  assert.deepStrictEqual(upstream.body.messages, [{ role: 'user', content: 'hello' }]);
+});
+
+test('rejects unsupported legacy parameters', async () => {
+  let response = await completions({ prompt: ['a', 'b'] });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.param, 'prompt');
+
+  response = await completions({ prompt: 'a', suffix: 'b' });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.param, 'suffix');
+});
+
+test('rejects an empty prompt like an empty chat message', async () => {
+  const response = await completions({ prompt: '' });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_message_format');
+});
+
+test('blocks flagged prompts through the shared moderation step', async () => {
+  const response = await completions({ prompt: FLAG_MARKER });
+  assert.strictEqual(response.status, 403);
+});
+
+test('streams text_completion chunks', async () => {
+  const response = await completions({ prompt: 'hello', stream: true });
+  assert.strictEqual(response.status, 200);
+  const events = parseSse(await response.text());
+  assert.strictEqual(events[events.length - 1], '[DONE]');
+
+  const chunks = events.slice(0, -1);
+  assert.ok(chunks.every(chunk => chunk.object === 'text_completion'));
+  assert.strictEqual(chunks.map(chunk => chunk.choices.map(choice => choice.text).join('')).join(''), 'Hello from mock');
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'stop');
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startGateway } = require('./helpers/gateway');
+const { FLAG_MARKER } = require('./helpers/mock-upstream');
+
+const KEY = 'sk-image-moderation';
+const IMAGE_URL = 'https://example.com/cat.png';
+
+let gateway;
+
+before(async () => {
+  gateway = await startGateway({
+    AUTH_KEYS: JSON.stringify([{ name: 'images', key: KEY, policies: ['*'] }]),
+    FIRST_PROVIDER_VISION_MODEL: 'vision-model',
+    MODERATION_MAX_IMAGES: '2',
+    MODERATION_MAX_IMAGE_BYTES: '16',
+    MODERATION_POLICIES: JSON.stringify([
+      { name: 'text-only', visionModel: null, rejectUnmoderatedImages: true },
+      { name: 'text-only-lenient', visionModel: null, rejectUnmoderatedImages: false }
+    ])
+  });
+});
+
+after(async () => {
+  await gateway.close();
+});
+
+function moderationRequests(since) {
+  return gateway.upstream.requests.slice(since).filter(request => request.body.response_format);
+}
+
+function sentParts(request) {
+  return request.body.messages.slice(1, -1)
+    .flatMap(message => (Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }]));
+}
+
+function imageMessage(text, urls = [IMAGE_URL]) {
+  return {
+    role: 'user',
+    content: [{ type: 'text', text }, ...urls.map(url => ({ type: 'image_url', image_url: { url } }))]
+  };
+}
+
+function chat(message, policy) {
+  return gateway.request('/v1/chat/completions', {
+    key: KEY,
+    headers: policy ? { 'X-Moderation-Policy': policy } : {},
+    body: { model: 'gpt-4o-mini', messages: [message] }
+  });
+}
+
+test('sends images to the vision moderation model', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await chat(imageMessage('What is this?'));
+  assert.strictEqual(response.status, 200);
+
+  const [request] = moderationRequests(since);
+  assert.strictEqual(request.body.model, 'vision-model');
+  const parts = sentParts(request);
+  assert.ok(parts.some(part => part.type === 'image_url' && part.image_url.url === IMAGE_URL));
+  assert.ok(parts.some(part => part.type === 'text' && part.text.includes('What is this?')));
+});
+
+test('blocks flagged text sent with images', async () => {
+  const response = await chat(imageMessage(FLAG_MARKER));
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error.code, 'content_violation');
+});
+
+test('limits the number of images', async () => {
+  const response = await chat(imageMessage('Compare', [IMAGE_URL, IMAGE_URL, IMAGE_URL]));
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'too_many_images');
+});
+
+test('limits the size of inline images', async () => {
+  const data = `data:image/png;base64,${Buffer.alloc(32).toString('base64')}`;
+  const response = await chat(imageMessage('Inline', [data]));
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'image_too_large');
+});
+
+test('rejects images without a vision model when the policy requires it', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await chat(imageMessage('What is this?'), 'text-only');
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'image_moderation_unavailable');
+  assert.strictEqual(gateway.upstream.requests.length, since);
+});
+
+test('moderates only the text without a vision model otherwise', async () => {
+  const since = gateway.upstream.requests.length;
+  const response = await chat(imageMessage('What is this?'), 'text-only-lenient');
+  assert.strictEqual(response.status, 200);
+
+  const [request] = moderationRequests(since);
+  assert.strictEqual(request.body.model, 'moderation-model');
+  assert.ok(sentParts(request).every(part => part.type === 'text'));
+});